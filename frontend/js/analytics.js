@@ -0,0 +1,406 @@
+// Market Analytics
+
+import { CONFIG, PROJECT_TYPES } from './config.js';
+import { html, setHtml } from './dom.js';
+import { contractsReady } from './web3.js';
+import { getBlockTimestamp, getIndexedEvents, getIndexedListings, getIndexedProjects, indexedBlocks } from './indexer.js';
+import { loadCreditTypes } from './credits.js';
+import { mintedTokensFor } from './owner-console.js';
+import { downloadFile, formatEthValue, formatTimestamp, parseProvince, showToast, toCsv } from './ui.js';
+
+let marketAnalytics = null;
+
+function minOf(values) {
+    return values.reduce((min, value) => (value.lt(min) ? value : min));
+}
+
+function maxOf(values) {
+    return values.reduce((max, value) => (value.gt(max) ? value : max));
+}
+
+function formatEth(wei) {
+    if (!wei) return '--';
+    return `${parseFloat(Number(ethers.utils.formatEther(wei)).toFixed(6))} ETH`;
+}
+
+export function computeMarketAnalytics() {
+    const zero = ethers.constants.Zero;
+    const creditTypes = loadCreditTypes();
+    const projects = getIndexedProjects();
+    const tokens = {};
+
+    const tokenStats = tokenId => {
+        const key = tokenId.toString();
+        if (!tokens[key]) {
+            const creditType = creditTypes[key] || {};
+            const province = parseProvince(creditType.location);
+            // The category is free text chosen at mint time, so the type comes from the registry project
+            const project = creditTypes[key] && projects.find(candidate => mintedTokensFor(candidate, [creditType]).length > 0);
+            tokens[key] = {
+                tokenId: key,
+                projectName: creditType.projectName || `Token #${key}`,
+                category: creditType.creditCategory || 'Unknown',
+                projectType: project ? PROJECT_TYPES[project.projectType] : 'Unknown',
+                province: province ? province.name : 'Unknown',
+                trades: [],
+                asks: [],
+                credits: zero,
+                volume: zero,
+                fees: zero
+            };
+        }
+        return tokens[key];
+    };
+
+    const trades = getIndexedEvents('Marketplace', 'CreditsPurchased').map(log => ({
+        timestamp: indexedBlocks[log.blockNumber],
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        listingId: log.args.listingId.toString(),
+        tokenId: log.args.tokenId.toString(),
+        buyer: log.args.buyer,
+        seller: log.args.seller,
+        amount: log.args.amount,
+        totalPrice: log.args.totalPrice,
+        protocolFee: log.args.protocolFee,
+        price: log.args.totalPrice.div(log.args.amount)
+    }));
+
+    trades.forEach(trade => {
+        const stats = tokenStats(trade.tokenId);
+        stats.trades.push(trade);
+        stats.credits = stats.credits.add(trade.amount);
+        stats.volume = stats.volume.add(trade.totalPrice);
+        stats.fees = stats.fees.add(trade.protocolFee);
+    });
+
+    const activeListings = new Set(getIndexedListings().filter(listing => listing.active).map(listing => listing.listingId.toString()));
+    getIndexedEvents('Marketplace', 'ListingCreated').forEach(log => {
+        tokenStats(log.args.tokenId).asks.push({
+            timestamp: indexedBlocks[log.blockNumber],
+            price: log.args.pricePerCredit,
+            amount: log.args.amount,
+            active: activeListings.has(log.args.listingId.toString())
+        });
+    });
+
+    Object.values(tokens).forEach(stats => {
+        const prices = stats.trades.map(trade => trade.price);
+        // Sold and cancelled listings stay in the price history but can't be bought from
+        const asks = stats.asks.filter(ask => ask.active).map(ask => ask.price);
+
+        stats.vwap = stats.credits.isZero() ? null : stats.volume.div(stats.credits);
+        stats.last = prices.length ? prices[prices.length - 1] : null;
+        stats.min = prices.length ? minOf(prices) : null;
+        stats.max = prices.length ? maxOf(prices) : null;
+        stats.lowestAsk = asks.length ? minOf(asks) : null;
+    });
+
+    const daily = {};
+    trades.forEach(trade => {
+        const date = new Date(trade.timestamp * 1000).toISOString().slice(0, 10);
+        if (!daily[date]) daily[date] = { date, trades: 0, credits: zero, volume: zero, fees: zero };
+        daily[date].trades += 1;
+        daily[date].credits = daily[date].credits.add(trade.amount);
+        daily[date].volume = daily[date].volume.add(trade.totalPrice);
+        daily[date].fees = daily[date].fees.add(trade.protocolFee);
+    });
+
+    const breakdown = field => {
+        const groups = {};
+        Object.values(tokens).forEach(stats => {
+            const name = stats[field];
+            if (!groups[name]) groups[name] = { name, tokens: 0, trades: 0, credits: zero, volume: zero };
+            groups[name].tokens += 1;
+            groups[name].trades += stats.trades.length;
+            groups[name].credits = groups[name].credits.add(stats.credits);
+            groups[name].volume = groups[name].volume.add(stats.volume);
+        });
+        return Object.values(groups)
+            .map(group => ({ ...group, vwap: group.credits.isZero() ? null : group.volume.div(group.credits) }))
+            .sort((a, b) => (b.volume.gt(a.volume) ? 1 : b.volume.lt(a.volume) ? -1 : a.name.localeCompare(b.name)));
+    };
+
+    return {
+        trades,
+        tokens,
+        daily: Object.values(daily).sort((a, b) => a.date.localeCompare(b.date)),
+        byType: breakdown('projectType'),
+        byProvince: breakdown('province'),
+        totals: {
+            trades: trades.length,
+            credits: trades.reduce((sum, trade) => sum.add(trade.amount), zero),
+            volume: trades.reduce((sum, trade) => sum.add(trade.totalPrice), zero),
+            fees: trades.reduce((sum, trade) => sum.add(trade.protocolFee), zero)
+        }
+    };
+}
+
+export async function loadAnalytics() {
+    if (!contractsReady()) return;
+
+    try {
+        const blocks = [
+            ...getIndexedEvents('Marketplace', 'CreditsPurchased'),
+            ...getIndexedEvents('Marketplace', 'ListingCreated')
+        ].map(log => log.blockNumber);
+        await Promise.all([...new Set(blocks)].map(getBlockTimestamp));
+
+        marketAnalytics = computeMarketAnalytics();
+
+        renderAnalyticsTotals();
+        renderVolumeChart();
+        renderAnalyticsTokenOptions();
+        renderPriceChart(document.getElementById('analyticsToken').value);
+        renderTokenTable();
+        renderBreakdown('analyticsByType', marketAnalytics.byType);
+        renderBreakdown('analyticsByProvince', marketAnalytics.byProvince);
+    } catch (err) {
+        console.error('Error loading analytics:', err);
+        document.getElementById('analyticsTokens').innerHTML = '<tr><td colspan="10" class="text-center py-8 text-red-400">Failed to load market analytics</td></tr>';
+    }
+}
+
+// Rendering
+
+function renderAnalyticsTotals() {
+    const { totals } = marketAnalytics;
+    document.getElementById('analyticsTrades').textContent = totals.trades;
+    document.getElementById('analyticsCredits').textContent = totals.credits.toString();
+    document.getElementById('analyticsVolume').textContent = formatEth(totals.volume);
+    document.getElementById('analyticsFees').textContent = formatEth(totals.fees);
+}
+
+function renderVolumeChart() {
+    const container = document.getElementById('analyticsVolumeChart');
+    const days = marketAnalytics.daily;
+
+    if (days.length === 0) {
+        container.innerHTML = '<div class="text-center py-16 text-gray-500 text-sm">No trades yet</div>';
+        return;
+    }
+
+    const width = 600;
+    const height = 200;
+    const pad = 24;
+    const values = days.map(day => Number(ethers.utils.formatEther(day.volume)));
+    const max = Math.max(...values) || 1;
+    const slot = (width - pad * 2) / days.length;
+
+    const bars = days.map((day, i) => {
+        const barHeight = Math.max(1, (values[i] / max) * (height - pad * 2));
+        const x = pad + i * slot + slot * 0.15;
+        const y = height - pad - barHeight;
+        const title = `${day.date}: ${formatEth(day.volume)}, ${day.credits.toString()} credits, ${day.trades} trades`;
+        return html`<rect x="${x}" y="${y}" width="${slot * 0.7}" height="${barHeight}" rx="2" fill="#10b981" opacity="0.8"><title>${title}</title></rect>`;
+    });
+
+    setHtml(container, html`
+        <svg viewBox="0 0 ${width} ${height}" class="w-full h-48">
+            <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#374151"/>
+            <text x="${pad}" y="${pad - 8}" fill="#6b7280" font-size="10">${parseFloat(max.toFixed(6))} ETH</text>
+            ${bars}
+            <text x="${pad}" y="${height - 6}" fill="#6b7280" font-size="10">${days[0].date}</text>
+            <text x="${width - pad}" y="${height - 6}" fill="#6b7280" font-size="10" text-anchor="end">${days[days.length - 1].date}</text>
+        </svg>
+    `);
+}
+
+function renderAnalyticsTokenOptions() {
+    const select = document.getElementById('analyticsToken');
+    const previous = select.value;
+    const tokens = Object.values(marketAnalytics.tokens);
+
+    setHtml(select, tokens.length
+        ? tokens.map(stats => html`<option value="${stats.tokenId}">#${stats.tokenId} ${stats.projectName}</option>`)
+        : html`<option value="">No listed credits</option>`);
+
+    if (marketAnalytics.tokens[previous]) select.value = previous;
+}
+
+export function renderPriceChart(tokenId) {
+    const container = document.getElementById('analyticsPriceChart');
+    const stats = marketAnalytics && marketAnalytics.tokens[tokenId];
+
+    if (!stats || (stats.trades.length === 0 && stats.asks.length === 0)) {
+        container.innerHTML = '<div class="text-center py-16 text-gray-500 text-sm">No price history for this token</div>';
+        return;
+    }
+
+    const width = 600;
+    const height = 200;
+    const pad = 24;
+    const toEth = wei => Number(ethers.utils.formatEther(wei));
+    const points = [...stats.trades, ...stats.asks];
+    const times = points.map(point => point.timestamp);
+    const minTime = Math.min(...times);
+    const span = Math.max(...times) - minTime;
+    const maxPrice = Math.max(...points.map(point => toEth(point.price))) * 1.1 || 1;
+
+    const x = timestamp => (span ? pad + ((timestamp - minTime) / span) * (width - pad * 2) : width / 2);
+    const y = price => height - pad - (toEth(price) / maxPrice) * (height - pad * 2);
+
+    const line = stats.trades.map(trade => `${x(trade.timestamp)},${y(trade.price)}`).join(' ');
+    const tradeDots = stats.trades.map(trade =>
+        html`<circle cx="${x(trade.timestamp)}" cy="${y(trade.price)}" r="3" fill="#10b981"><title>Trade ${formatTimestamp(trade.timestamp)}: ${trade.amount.toString()} @ ${formatEth(trade.price)}</title></circle>`
+    );
+    const askDots = stats.asks.map(ask =>
+        html`<circle cx="${x(ask.timestamp)}" cy="${y(ask.price)}" r="3" fill="none" stroke="#22d3ee"><title>Ask ${formatTimestamp(ask.timestamp)}: ${ask.amount.toString()} @ ${formatEth(ask.price)}</title></circle>`
+    );
+    const vwapLine = stats.vwap
+        && html`<line x1="${pad}" y1="${y(stats.vwap)}" x2="${width - pad}" y2="${y(stats.vwap)}" stroke="#eab308" stroke-dasharray="4 4" opacity="0.6"><title>VWAP ${formatEth(stats.vwap)}</title></line>`;
+
+    setHtml(container, html`
+        <svg viewBox="0 0 ${width} ${height}" class="w-full h-48">
+            <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#374151"/>
+            ${vwapLine}
+            <polyline points="${line}" fill="none" stroke="#10b981" stroke-width="2"/>
+            ${tradeDots}
+            ${askDots}
+        </svg>
+        <div class="flex gap-4 text-xs text-gray-500 mt-2">
+            <span><span class="text-emerald-400">●</span> Trades</span>
+            <span><span class="text-cyan-400">○</span> Asks</span>
+            <span><span class="text-yellow-400">- -</span> VWAP</span>
+        </div>
+    `);
+}
+
+function renderTokenTable() {
+    const container = document.getElementById('analyticsTokens');
+    const tokens = Object.values(marketAnalytics.tokens);
+
+    if (tokens.length === 0) {
+        container.innerHTML = '<tr><td colspan="10" class="text-center py-8 text-gray-500">No credits have been listed yet</td></tr>';
+        return;
+    }
+
+    setHtml(container, tokens.map(stats => html`
+        <tr class="border-t border-emerald-500/10">
+            <td class="py-3">
+                <div class="font-medium">${stats.projectName} <span class="text-gray-500 font-mono text-xs">#${stats.tokenId}</span></div>
+                <div class="text-xs text-gray-500">${stats.projectType} • ${stats.category} • ${stats.province}</div>
+            </td>
+            <td class="py-3">${stats.trades.length}</td>
+            <td class="py-3">${stats.credits.toString()}</td>
+            <td class="py-3 font-mono text-xs">${formatEth(stats.volume)}</td>
+            <td class="py-3 font-mono text-xs text-emerald-400">${formatEth(stats.vwap)}</td>
+            <td class="py-3 font-mono text-xs">${formatEth(stats.last)}</td>
+            <td class="py-3 font-mono text-xs">${formatEth(stats.min)}</td>
+            <td class="py-3 font-mono text-xs">${formatEth(stats.max)}</td>
+            <td class="py-3">${stats.asks.length}</td>
+            <td class="py-3 font-mono text-xs">${formatEth(stats.lowestAsk)}</td>
+        </tr>
+    `));
+}
+
+function renderBreakdown(containerId, groups) {
+    const container = document.getElementById(containerId);
+
+    if (groups.length === 0) {
+        container.innerHTML = '<tr><td colspan="5" class="text-center py-8 text-gray-500">No market data yet</td></tr>';
+        return;
+    }
+
+    setHtml(container, groups.map(group => html`
+        <tr class="border-t border-emerald-500/10">
+            <td class="py-2">${group.name}</td>
+            <td class="py-2">${group.tokens}</td>
+            <td class="py-2">${group.credits.toString()}</td>
+            <td class="py-2 font-mono text-xs">${formatEth(group.volume)}</td>
+            <td class="py-2 font-mono text-xs text-emerald-400">${formatEth(group.vwap)}</td>
+        </tr>
+    `));
+}
+
+// Export
+
+const ANALYTICS_TRADE_COLUMNS = ['date', 'tokenId', 'projectName', 'projectType', 'category', 'province', 'listingId', 'buyer', 'seller', 'amount', 'priceEth', 'totalEth', 'protocolFeeEth', 'blockNumber', 'transactionHash'];
+
+function analyticsTradeRows() {
+    return marketAnalytics.trades.map(trade => {
+        const stats = marketAnalytics.tokens[trade.tokenId];
+        return {
+            date: new Date(trade.timestamp * 1000).toISOString(),
+            tokenId: trade.tokenId,
+            projectName: stats.projectName,
+            projectType: stats.projectType,
+            category: stats.category,
+            province: stats.province,
+            listingId: trade.listingId,
+            buyer: trade.buyer,
+            seller: trade.seller,
+            amount: trade.amount.toString(),
+            priceEth: formatEthValue(trade.price),
+            totalEth: formatEthValue(trade.totalPrice),
+            protocolFeeEth: formatEthValue(trade.protocolFee),
+            blockNumber: trade.blockNumber,
+            transactionHash: trade.transactionHash
+        };
+    });
+}
+
+function analyticsReport() {
+    const { totals, daily, tokens, byType, byProvince } = marketAnalytics;
+    const group = entry => ({
+        name: entry.name,
+        tokens: entry.tokens,
+        trades: entry.trades,
+        credits: entry.credits.toString(),
+        volumeEth: formatEthValue(entry.volume),
+        vwapEth: formatEthValue(entry.vwap)
+    });
+
+    return {
+        generatedAt: new Date().toISOString(),
+        network: CONFIG.NETWORK.chainName,
+        marketplace: CONFIG.CONTRACTS.Marketplace,
+        totals: {
+            trades: totals.trades,
+            credits: totals.credits.toString(),
+            volumeEth: formatEthValue(totals.volume),
+            protocolFeesEth: formatEthValue(totals.fees)
+        },
+        daily: daily.map(day => ({
+            date: day.date,
+            trades: day.trades,
+            credits: day.credits.toString(),
+            volumeEth: formatEthValue(day.volume),
+            protocolFeesEth: formatEthValue(day.fees)
+        })),
+        tokens: Object.values(tokens).map(stats => ({
+            tokenId: stats.tokenId,
+            projectName: stats.projectName,
+            projectType: stats.projectType,
+            category: stats.category,
+            province: stats.province,
+            trades: stats.trades.length,
+            credits: stats.credits.toString(),
+            volumeEth: formatEthValue(stats.volume),
+            vwapEth: formatEthValue(stats.vwap),
+            lastEth: formatEthValue(stats.last),
+            minEth: formatEthValue(stats.min),
+            maxEth: formatEthValue(stats.max),
+            listings: stats.asks.length,
+            lowestAskEth: formatEthValue(stats.lowestAsk)
+        })),
+        byProjectType: byType.map(group),
+        byProvince: byProvince.map(group),
+        trades: analyticsTradeRows()
+    };
+}
+
+export function exportAnalytics(format) {
+    if (!marketAnalytics) {
+        showToast('Error', 'Analytics have not loaded yet');
+        return;
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === 'json') {
+        downloadFile(`vericarbon-analytics-${stamp}.json`, JSON.stringify(analyticsReport(), null, 2), 'application/json');
+    } else {
+        downloadFile(`vericarbon-trades-${stamp}.csv`, toCsv(analyticsTradeRows(), ANALYTICS_TRADE_COLUMNS), 'text/csv');
+    }
+}
@@ -1,53 +1,79 @@
 // Vericarbon Smart Contract Configuration
-// Deployed on Ethereum Sepolia Testnet
+// Deployments are keyed by chain ID; the active one is selected from the wallet's chain
 
-const CONFIG = {
-    NETWORK: {
-        chainId: '0xaa36a7', // 11155111 in hex (Sepolia)
+export const NETWORKS = {
+    11155111: {
+        chainId: '0xaa36a7',
         chainName: 'Sepolia Testnet',
-        rpcUrl: 'https://sepolia.infura.io/v3/',
-        blockExplorer: 'https://sepolia.etherscan.io'
+        rpcUrl: 'https://ethereum-sepolia-rpc.publicnode.com',
+        blockExplorer: 'https://sepolia.etherscan.io',
+        nativeCurrency: { name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 },
+        // The indexer backfills events from here; must not be later than the first deployment
+        deploymentBlock: 9000000,
+        contracts: {
+            CarbonCredit: '0x37A3A1B31bBaee86e8E307240BFB4d1e7f227a57',
+            ProjectRegistry: '0x472fE102833fab6D06d8391fbe2a544Aa10257Cf',
+            Marketplace: '0x1d53f45A37EB832E8C1e951dd1cA03355Ed40064'
+        }
     },
-    
-    CONTRACTS: {
-        CarbonCredit: '0x37A3A1B31bBaee86e8E307240BFB4d1e7f227a57',
-        ProjectRegistry: '0x472fE102833fab6D06d8391fbe2a544Aa10257Cf',
-        Marketplace: '0x1d53f45A37EB832E8C1e951dd1cA03355Ed40064'
+    31337: {
+        chainId: '0x7a69',
+        chainName: 'Anvil Local',
+        rpcUrl: 'http://127.0.0.1:8545',
+        blockExplorer: null,
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        // Contracts and their deployment blocks are filled in from the Foundry
+        // broadcast output of script/Deploy*.s.sol
+        deploymentBlock: null,
+        contracts: {}
     }
 };
 
-// Contract ABIs
-const ABIS = {
-    ProjectRegistry: [
-        "function registerProject(string memory projectName, string memory location, uint8 projectType, string memory description, uint256 estimatedAnnualCredits, string memory verificationDocuments) external returns (uint256)",
-        "function getProjectInfo(uint256 projectId) external view returns (tuple(uint256 projectId, string projectName, string location, uint8 projectType, uint8 status, address projectOwner, string description, uint256 estimatedAnnualCredits, uint256 registrationDate, uint256 approvalDate, string verificationDocuments))",
-        "function getProjectsByOwner(address owner) external view returns (uint256[])",
-        "function getTotalProjects() external view returns (uint256)",
-        "function isProjectApproved(uint256 projectId) external view returns (bool)",
-        "event ProjectRegistered(uint256 indexed projectId, string projectName, address indexed projectOwner, uint8 projectType)"
-    ],
-    
-    CarbonCredit: [
-        "function mintCreditType(string memory projectName, string memory location, string memory creditCategory, uint256 totalSupply) external returns (uint256)",
-        "function verifyCreditType(uint256 tokenId) external",
-        "function retireCredits(uint256 tokenId, uint256 amount) external",
-        "function getCreditTypeInfo(uint256 tokenId) external view returns (tuple(string projectName, string location, string creditCategory, uint256 totalSupply, bool isVerified, uint256 verificationTimestamp))",
-        "function isVerified(uint256 tokenId) external view returns (bool)",
-        "function balanceOf(address account, uint256 id) external view returns (uint256)",
-        "event CreditTypeMinted(uint256 indexed tokenId, string projectName, address indexed minter)",
-        "event CreditTypeVerified(uint256 indexed tokenId, address indexed verifier, uint256 timestamp)"
-    ],
-    
-    Marketplace: [
-        "function createListing(uint256 tokenId, uint256 amount, uint256 pricePerCredit) external returns (uint256)",
-        "function buyCredits(uint256 listingId, uint256 amount) external payable",
-        "function cancelListing(uint256 listingId) external",
-        "function getListing(uint256 listingId) external view returns (tuple(uint256 listingId, uint256 tokenId, address seller, uint256 amount, uint256 pricePerCredit, bool active, uint256 createdAt))",
-        "function getListingsBySeller(address seller) external view returns (uint256[])",
-        "function getTotalListings() external view returns (uint256)",
-        "function totalVolumeTraded() external view returns (uint256)",
-        "function protocolFeePercent() external view returns (uint256)",
-        "event ListingCreated(uint256 indexed listingId, uint256 indexed tokenId, address indexed seller, uint256 amount, uint256 pricePerCredit)",
-        "event CreditsPurchased(uint256 indexed listingId, uint256 indexed tokenId, address indexed buyer, address seller, uint256 amount, uint256 totalPrice, uint256 protocolFee)"
-    ]
-};
\ No newline at end of file
+export const DEFAULT_CHAIN_ID = 11155111;
+
+// Foundry writes broadcast/<Script>.s.sol/<chainId>/run-latest.json relative to the repo root
+export const BROADCAST = {
+    baseUrl: '../broadcast',
+    scripts: ['Deploy.s.sol', 'DeployProjectRegistry.s.sol', 'DeployMarketplace.s.sol']
+};
+
+// Public gateway for ipfs:// documents; overridable from the project detail view.
+// apiUrl is the Kubo RPC API registration pins to; overridable from the form.
+export const IPFS = {
+    gateway: 'https://ipfs.io/ipfs/',
+    apiUrl: 'http://127.0.0.1:5001'
+};
+
+// Active deployment, replaced by selectNetwork()
+export const CONFIG = {
+    NETWORK: NETWORKS[DEFAULT_CHAIN_ID],
+    CONTRACTS: NETWORKS[DEFAULT_CHAIN_ID].contracts,
+    DEPLOYMENT_BLOCKS: {}
+};
+
+// Role identifiers (keccak256 of the role name, as in the contracts)
+export const ROLES = {
+    DEFAULT_ADMIN: ethers.constants.HashZero,
+    ADMIN: ethers.utils.id('ADMIN_ROLE'),
+    AUDITOR: ethers.utils.id('AUDITOR_ROLE'),
+    VERIFIER: ethers.utils.id('VERIFIER_ROLE'),
+    PROJECT: ethers.utils.id('PROJECT_ROLE')
+};
+
+// ProjectRegistry enums, in declaration order
+export const PROJECT_STATUSES = ['Pending', 'Approved', 'Rejected', 'Active', 'Suspended'];
+export const PROJECT_TYPES = ['Renewable Energy', 'Forestry Carbon', 'Waste to Energy', 'Clean Cooking', 'Blue Carbon'];
+
+// South African provinces, matched against free-text project locations.
+// Aliases cover common abbreviations and the main metros.
+export const SA_PROVINCES = [
+    { code: 'EC', name: 'Eastern Cape', aliases: ['Eastern Cape', 'Gqeberha', 'Port Elizabeth', 'East London'] },
+    { code: 'FS', name: 'Free State', aliases: ['Free State', 'Bloemfontein'] },
+    { code: 'GP', name: 'Gauteng', aliases: ['Gauteng', 'Johannesburg', 'Pretoria', 'Tshwane', 'Soweto'] },
+    { code: 'KZN', name: 'KwaZulu-Natal', aliases: ['KwaZulu-Natal', 'KwaZulu Natal', 'KZN', 'Durban', 'Pietermaritzburg'] },
+    { code: 'LP', name: 'Limpopo', aliases: ['Limpopo', 'Polokwane'] },
+    { code: 'MP', name: 'Mpumalanga', aliases: ['Mpumalanga', 'Mbombela', 'Nelspruit'] },
+    { code: 'NW', name: 'North West', aliases: ['North West', 'Mahikeng', 'Rustenburg'] },
+    { code: 'NC', name: 'Northern Cape', aliases: ['Northern Cape', 'Kimberley', 'Upington'] },
+    { code: 'WC', name: 'Western Cape', aliases: ['Western Cape', 'Cape Town', 'Stellenbosch', 'Garden Route'] }
+];
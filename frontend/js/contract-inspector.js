@@ -0,0 +1,420 @@
+// Smart Contract Inspector & Admin Panel
+//
+// Shows the live configuration of each deployed contract. Accounts holding an
+// admin role get the pause, fee and role operations, each confirmed against a
+// before/after diff. The audit trail is replayed from the indexed admin events,
+// so changes made outside the app (e.g. Foundry scripts) appear there too.
+
+import { CONFIG, ROLES } from './config.js';
+import { html, setHtml } from './dom.js';
+import { contracts, contractsReady, loadContractData, provider, userAddress, walletConnected } from './web3.js';
+import { getBlockTimestamp, getIndexedEvents, indexedBlocks, indexerScopes } from './indexer.js';
+import { isUserAddress } from './live-updates.js';
+import { decodeTransactionError, describeRole, sendTransaction } from './transactions.js';
+import { addressLink, txLink } from './project-detail.js';
+import { formatAddress, formatTimestamp, showToast } from './ui.js';
+
+// Roles each contract uses, in the order they are listed
+const CONTRACT_ROLES = {
+    CarbonCredit: ['DEFAULT_ADMIN', 'VERIFIER', 'PROJECT'],
+    ProjectRegistry: ['DEFAULT_ADMIN', 'ADMIN', 'AUDITOR'],
+    Marketplace: ['DEFAULT_ADMIN', 'ADMIN']
+};
+
+// Role checked by pause()/unpause(); fee settings need ADMIN on the Marketplace.
+// No contract calls _setRoleAdmin, so DEFAULT_ADMIN grants and revokes every role.
+const PAUSER_ROLES = { CarbonCredit: 'DEFAULT_ADMIN', ProjectRegistry: 'ADMIN', Marketplace: 'ADMIN' };
+const MAX_PROTOCOL_FEE = 100;
+
+// Functions this module calls through contracts[contractName], which the
+// static ABI check can't follow; generate-abis.js --check reads this list
+const CONTRACT_CALLS = {
+    CarbonCredit: ['paused', 'uri', 'pause', 'unpause', 'grantRole', 'revokeRole'],
+    ProjectRegistry: ['paused', 'pause', 'unpause', 'grantRole', 'revokeRole'],
+    Marketplace: ['paused', 'protocolFeePercent', 'feeRecipient', 'pause', 'unpause', 'updateProtocolFee', 'updateFeeRecipient', 'grantRole', 'revokeRole']
+};
+
+let pendingAdminAction = null;
+// Sender lookups by transaction hash, which never change once mined
+const transactionSenders = {};
+
+// State
+
+// Replays RoleGranted/RoleRevoked into the current holders of each role
+export function roleHolders(contractName) {
+    const holders = {};
+
+    getIndexedEvents(contractName, 'RoleGranted').concat(getIndexedEvents(contractName, 'RoleRevoked'))
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+        .forEach(log => {
+            const accounts = (holders[log.args.role] || []).filter(account => account.toLowerCase() !== log.args.account.toLowerCase());
+            holders[log.args.role] = log.event === 'RoleGranted' ? [...accounts, log.args.account] : accounts;
+        });
+
+    return holders;
+}
+
+function holdsRole(state, roleKey, account) {
+    return !!account && (state.holders[ROLES[roleKey]] || []).some(holder => holder.toLowerCase() === account.toLowerCase());
+}
+
+async function readContractState(contractName) {
+    const contract = contracts[contractName];
+    const state = { paused: await contract.paused(), holders: roleHolders(contractName) };
+
+    if (contractName === 'Marketplace') {
+        [state.protocolFeePercent, state.feeRecipient] = await Promise.all([contract.protocolFeePercent(), contract.feeRecipient()]);
+    } else if (contractName === 'CarbonCredit') {
+        // ERC1155 returns the same {id} template for every token
+        state.uri = await contract.uri(0);
+    }
+
+    return state;
+}
+
+// Admin actions
+
+function formatProtocolFee(fee) {
+    return `${fee.toString()} (${Number(fee.toString()) / 10}%)`;
+}
+
+function formatHolders(holders) {
+    return holders.length === 0 ? 'None' : holders.map(formatAddress).join(', ');
+}
+
+// Validates an admin operation against the current state and describes what it changes
+export function buildAdminAction(contractName, method, input, state) {
+    const action = { contractName, method, args: [], changes: [], warnings: [] };
+    if (!CONTRACT_CALLS[contractName].includes(method)) throw new Error(`Unknown admin operation ${method}`);
+
+    switch (method) {
+        case 'pause':
+        case 'unpause': {
+            const pausing = method === 'pause';
+            if (state.paused === pausing) throw new Error(`${contractName} is already ${pausing ? 'paused' : 'unpaused'}`);
+
+            action.label = `${pausing ? 'Pausing' : 'Unpausing'} ${contractName}`;
+            action.changes.push({ field: 'paused()', before: String(state.paused), after: String(pausing) });
+            if (pausing) action.warnings.push(`Every whenNotPaused function on ${contractName} will revert until it is unpaused`);
+            break;
+        }
+        case 'updateProtocolFee': {
+            if (!/^\d+$/.test(input.fee) || Number(input.fee) > MAX_PROTOCOL_FEE) {
+                throw new Error(`Protocol fee must be a whole number from 0 to ${MAX_PROTOCOL_FEE} (per mille, max 10%)`);
+            }
+            if (state.protocolFeePercent.eq(input.fee)) throw new Error(`Protocol fee is already ${formatProtocolFee(state.protocolFeePercent)}`);
+
+            action.label = `Updating protocol fee to ${Number(input.fee) / 10}%`;
+            action.args = [input.fee];
+            action.changes.push({ field: 'protocolFeePercent()', before: formatProtocolFee(state.protocolFeePercent), after: formatProtocolFee(input.fee) });
+            break;
+        }
+        case 'updateFeeRecipient': {
+            if (!ethers.utils.isAddress(input.recipient) || input.recipient === ethers.constants.AddressZero) {
+                throw new Error('Fee recipient must be a non-zero address');
+            }
+            if (input.recipient.toLowerCase() === state.feeRecipient.toLowerCase()) throw new Error('That address is already the fee recipient');
+
+            action.label = `Updating fee recipient to ${formatAddress(input.recipient)}`;
+            action.args = [input.recipient];
+            action.changes.push({ field: 'feeRecipient()', before: state.feeRecipient, after: input.recipient });
+            break;
+        }
+        case 'grantRole':
+        case 'revokeRole': {
+            const granting = method === 'grantRole';
+            if (!CONTRACT_ROLES[contractName].includes(input.role)) throw new Error(`Select a ${contractName} role`);
+            if (!ethers.utils.isAddress(input.account)) throw new Error('Enter the account address');
+
+            const role = ROLES[input.role];
+            const roleName = describeRole(role);
+            const held = holdsRole(state, input.role, input.account);
+            if (granting && held) throw new Error(`${formatAddress(input.account)} already holds ${roleName}`);
+            if (!granting && !held) throw new Error(`${formatAddress(input.account)} does not hold ${roleName}`);
+
+            const before = state.holders[role] || [];
+            const after = granting
+                ? [...before, input.account]
+                : before.filter(holder => holder.toLowerCase() !== input.account.toLowerCase());
+
+            action.label = `${granting ? 'Granting' : 'Revoking'} ${roleName} ${granting ? 'to' : 'from'} ${formatAddress(input.account)}`;
+            action.args = [role, input.account];
+            action.changes.push({ field: `${roleName} holders`, before: formatHolders(before), after: formatHolders(after) });
+
+            if (!granting && input.role === 'DEFAULT_ADMIN' && after.length === 0) {
+                action.warnings.push(`No account will hold DEFAULT_ADMIN_ROLE, so ${contractName} roles can never be granted or revoked again`);
+            } else if (!granting && isUserAddress(input.account)) {
+                action.warnings.push(`You are revoking your own ${roleName}`);
+            }
+            break;
+        }
+        default:
+            throw new Error(`Unknown admin operation ${method}`);
+    }
+
+    return action;
+}
+
+function readAdminInput(contractName, method) {
+    const value = id => document.getElementById(id).value.trim();
+
+    switch (method) {
+        case 'updateProtocolFee':
+            return { fee: value('adminProtocolFee') };
+        case 'updateFeeRecipient':
+            return { recipient: value('adminFeeRecipient') };
+        case 'grantRole':
+        case 'revokeRole':
+            return { role: value(`adminRole-${contractName}`), account: value(`adminAccount-${contractName}`) };
+        default:
+            return {};
+    }
+}
+
+export async function reviewAdminAction(contractName, method) {
+    if (!walletConnected) {
+        showToast('Error', 'Please connect wallet first');
+        return;
+    }
+
+    try {
+        // Diff against fresh reads rather than what was rendered
+        const state = await readContractState(contractName);
+        pendingAdminAction = buildAdminAction(contractName, method, readAdminInput(contractName, method), state);
+        renderAdminConfirmation(pendingAdminAction);
+        document.getElementById('adminActionModal').classList.remove('hidden');
+    } catch (err) {
+        console.error(err);
+        showToast('Error', decodeTransactionError(err));
+    }
+}
+
+export function closeAdminAction() {
+    pendingAdminAction = null;
+    document.getElementById('adminActionModal').classList.add('hidden');
+}
+
+export async function confirmAdminAction() {
+    const action = pendingAdminAction;
+    if (!action) return;
+    closeAdminAction();
+
+    try {
+        const receipt = await sendTransaction(action.label, contracts[action.contractName], action.method, action.args);
+        showToast('Success', `${action.label} confirmed! TX: ${receipt.transactionHash.slice(0, 10)}...`);
+        loadContractData();
+    } catch (err) {
+        console.error(err);
+        showToast('Error', decodeTransactionError(err));
+    }
+}
+
+// Loading & rendering
+
+export async function loadContractInspector() {
+    if (!contractsReady()) return;
+
+    const container = document.getElementById('contractCards');
+
+    try {
+        const names = Object.keys(CONTRACT_ROLES);
+        const states = await Promise.all(names.map(readContractState));
+
+        const audit = adminAuditTrail();
+        await Promise.all(audit.map(entry => getBlockTimestamp(entry.blockNumber)));
+        await loadAuditActors(audit);
+
+        setHtml(container, names.map((name, i) => renderContractCard(name, states[i])));
+        renderAdminAuditTrail(audit);
+    } catch (err) {
+        console.error('Error loading contract inspector:', err);
+        container.innerHTML = '<div class="col-span-full text-center py-8 text-red-400 text-sm">Failed to read contract state</div>';
+    }
+}
+
+export function renderContractCard(contractName, state) {
+    const address = CONFIG.CONTRACTS[contractName];
+    const row = (label, value) => html`
+        <div class="flex justify-between items-center gap-4">
+            <span class="text-gray-500">${label}</span>
+            <span class="text-right break-all">${value}</span>
+        </div>
+    `;
+
+    const details = [row('Address', addressLink(address))];
+    if (contractName === 'Marketplace') {
+        details.push(row('protocolFeePercent', html`<span class="font-mono text-xs text-emerald-400">${formatProtocolFee(state.protocolFeePercent)}</span>`));
+        details.push(row('feeRecipient', addressLink(state.feeRecipient)));
+    } else if (contractName === 'CarbonCredit') {
+        details.push(row('uri', html`<span class="font-mono text-xs text-gray-400">${state.uri}</span>`));
+    }
+
+    const roles = CONTRACT_ROLES[contractName].map(roleKey => {
+        const holders = state.holders[ROLES[roleKey]] || [];
+        return html`
+            <div>
+                <div class="text-xs font-mono text-gray-500">${roleKey}_ROLE</div>
+                <div class="flex flex-wrap gap-2 mt-1">
+                    ${holders.length === 0 ? html`<span class="text-xs text-gray-600">No holders</span>` : holders.map(addressLink)}
+                </div>
+            </div>
+        `;
+    });
+
+    return html`
+        <div class="glass-card rounded-2xl p-6 border border-emerald-500/20 space-y-4">
+            <div class="flex justify-between items-center">
+                <h3 class="font-display text-lg font-semibold">${contractName}</h3>
+                <span class="px-2 py-1 rounded-full text-xs font-mono border ${state.paused ? 'bg-red-500/20 border-red-500/30 text-red-400' : 'bg-emerald-500/20 border-emerald-500/30 text-emerald-400'}">${state.paused ? 'PAUSED' : 'ACTIVE'}</span>
+            </div>
+            <div class="space-y-2 text-sm">${details}</div>
+            <div class="space-y-3 pt-4 border-t border-emerald-500/10">${roles}</div>
+            ${renderAdminActions(contractName, state)}
+        </div>
+    `;
+}
+
+function renderAdminActions(contractName, state) {
+    const canPause = holdsRole(state, PAUSER_ROLES[contractName], userAddress);
+    const canManageRoles = holdsRole(state, 'DEFAULT_ADMIN', userAddress);
+    const canSetFees = contractName === 'Marketplace' && holdsRole(state, 'ADMIN', userAddress);
+    if (!walletConnected || !(canPause || canManageRoles || canSetFees)) return '';
+
+    const input = 'px-3 py-2 rounded-lg bg-black/30 border border-emerald-500/20 focus:border-emerald-500 outline-none transition-all text-white placeholder-gray-600 text-sm';
+    const button = 'px-4 py-2 rounded-full border border-emerald-500/50 hover:bg-emerald-500/10 transition-all text-xs text-emerald-400';
+
+    return html`
+        <div class="space-y-3 pt-4 border-t border-emerald-500/10">
+            <div class="text-xs uppercase tracking-widest text-gray-500">Admin</div>
+            ${canPause ? html`
+                <button onclick="reviewAdminAction('${contractName}', '${state.paused ? 'unpause' : 'pause'}')" class="${button}">${state.paused ? 'Unpause' : 'Pause'} ${contractName}</button>
+            ` : ''}
+            ${canSetFees ? html`
+                <div class="flex gap-2">
+                    <input type="number" id="adminProtocolFee" min="0" max="${MAX_PROTOCOL_FEE}" placeholder="Fee (per mille)" class="${input} flex-1 min-w-0">
+                    <button onclick="reviewAdminAction('Marketplace', 'updateProtocolFee')" class="${button}">Update fee</button>
+                </div>
+                <div class="flex gap-2">
+                    <input type="text" id="adminFeeRecipient" placeholder="New fee recipient 0x..." class="${input} flex-1 min-w-0 font-mono">
+                    <button onclick="reviewAdminAction('Marketplace', 'updateFeeRecipient')" class="${button}">Update recipient</button>
+                </div>
+            ` : ''}
+            ${canManageRoles ? html`
+                <div class="grid grid-cols-2 gap-2">
+                    <select id="adminRole-${contractName}" class="${input}">
+                        ${CONTRACT_ROLES[contractName].map(roleKey => html`<option value="${roleKey}">${roleKey}_ROLE</option>`)}
+                    </select>
+                    <input type="text" id="adminAccount-${contractName}" placeholder="Account 0x..." class="${input} font-mono">
+                </div>
+                <div class="flex gap-2">
+                    <button onclick="reviewAdminAction('${contractName}', 'grantRole')" class="${button}">Grant role</button>
+                    <button onclick="reviewAdminAction('${contractName}', 'revokeRole')" class="px-4 py-2 rounded-full border border-red-500/50 hover:bg-red-500/10 transition-all text-xs text-red-400">Revoke role</button>
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+function renderAdminConfirmation(action) {
+    setHtml(document.getElementById('adminActionBody'), html`
+        <div class="font-display text-lg font-semibold">${action.label}</div>
+        <div class="font-mono text-xs text-gray-500">${action.contractName}.${action.method}(${action.args.join(', ')})</div>
+        <table class="w-full text-sm text-left">
+            <thead>
+                <tr class="text-xs text-gray-500">
+                    <th class="pb-2 font-normal">Field</th>
+                    <th class="pb-2 font-normal">Before</th>
+                    <th class="pb-2 font-normal">After</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${action.changes.map(change => html`
+                    <tr class="border-t border-emerald-500/10">
+                        <td class="py-2 font-mono text-xs text-gray-400">${change.field}</td>
+                        <td class="py-2 font-mono text-xs text-red-400 break-all">${change.before}</td>
+                        <td class="py-2 font-mono text-xs text-emerald-400 break-all">${change.after}</td>
+                    </tr>
+                `)}
+            </tbody>
+        </table>
+        ${action.warnings.map(warning => html`<div class="text-xs text-yellow-400">${warning}</div>`)}
+    `);
+}
+
+// Audit trail
+
+export function adminAuditTrail() {
+    const entries = [];
+
+    Object.keys(CONTRACT_ROLES).forEach(contractName => {
+        indexerScopes[contractName].logs.forEach(log => {
+            const args = log.args;
+            let actor = null;
+            let description;
+
+            switch (log.event) {
+                case 'RoleGranted':
+                    description = `Granted ${describeRole(args.role)} to ${formatAddress(args.account)}`;
+                    actor = args.sender;
+                    break;
+                case 'RoleRevoked':
+                    description = `Revoked ${describeRole(args.role)} from ${formatAddress(args.account)}`;
+                    actor = args.sender;
+                    break;
+                case 'Paused':
+                case 'Unpaused':
+                    description = log.event;
+                    actor = args.account;
+                    break;
+                case 'ProtocolFeeUpdated':
+                    description = `Protocol fee ${formatProtocolFee(args.oldFee)} → ${formatProtocolFee(args.newFee)}`;
+                    break;
+                case 'FeeRecipientUpdated':
+                    description = `Fee recipient ${formatAddress(args.oldRecipient)} → ${formatAddress(args.newRecipient)}`;
+                    break;
+                default:
+                    return;
+            }
+
+            entries.push({ contractName, description, actor, blockNumber: log.blockNumber, logIndex: log.logIndex, transactionHash: log.transactionHash });
+        });
+    });
+
+    return entries.sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+}
+
+// Fee events do not record the caller, so it is read from the transaction. A
+// failed lookup leaves the actor unknown and is tried again on the next load.
+export async function loadAuditActors(entries) {
+    await Promise.all(entries.filter(entry => !entry.actor).map(async entry => {
+        const hash = entry.transactionHash;
+        if (!transactionSenders[hash]) {
+            transactionSenders[hash] = provider.getTransaction(hash).then(tx => tx.from);
+        }
+
+        try {
+            entry.actor = await transactionSenders[hash];
+        } catch (err) {
+            delete transactionSenders[hash];
+        }
+    }));
+}
+
+export function renderAdminAuditTrail(entries) {
+    const container = document.getElementById('adminAuditLog');
+
+    if (entries.length === 0) {
+        container.innerHTML = '<tr><td colspan="5" class="text-center py-8 text-gray-500">No admin changes recorded</td></tr>';
+        return;
+    }
+
+    setHtml(container, entries.map(entry => html`
+        <tr class="border-t border-emerald-500/10">
+            <td class="py-3 text-gray-400">${formatTimestamp(indexedBlocks[entry.blockNumber])}</td>
+            <td class="py-3">${entry.contractName}</td>
+            <td class="py-3">${entry.description}</td>
+            <td class="py-3">${entry.actor ? addressLink(entry.actor) : html`<span class="text-xs text-gray-500">Unknown</span>`}</td>
+            <td class="py-3">${txLink(entry.transactionHash)}</td>
+        </tr>
+    `));
+}
@@ -0,0 +1,34 @@
+// Carbon Credit Types
+
+import { contracts } from './web3.js';
+import { getIndexedCreditTypes } from './indexer.js';
+
+export const creditTypeCache = {};
+
+export async function getCreditType(tokenId) {
+    const key = tokenId.toString();
+    if (!creditTypeCache[key]) {
+        creditTypeCache[key] = await contracts.CarbonCredit.getCreditTypeInfo(tokenId);
+    }
+    return creditTypeCache[key];
+}
+
+export function loadCreditTypes() {
+    const creditTypes = getIndexedCreditTypes();
+    Object.assign(creditTypeCache, creditTypes);
+    return creditTypes;
+}
+
+export async function loadCreditBalances(account) {
+    const creditTypes = loadCreditTypes();
+    const ids = Object.keys(creditTypes).map(Number);
+    const balances = ids.length
+        ? await contracts.CarbonCredit.balanceOfBatch(ids.map(() => account), ids)
+        : [];
+
+    return ids.map((tokenId, i) => ({
+        tokenId,
+        balance: balances[i],
+        creditType: creditTypes[tokenId]
+    }));
+}
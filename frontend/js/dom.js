@@ -0,0 +1,63 @@
+// Safe Rendering
+//
+// Project names, locations, descriptions and document URIs come straight from
+// the contracts, where anyone can write them. Markup is only ever built with
+// the html`...` tag, which escapes every interpolated value unless it is the
+// result of another html`...` call, and only written to the page via setHtml().
+
+const SAFE_URL_PROTOCOLS = ['http:', 'https:'];
+
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Arrays render item by item; null, undefined and false render as nothing so
+// `${condition && html`...`}` works without a ternary
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    return escapeHtml(value);
+}
+
+export function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((markup, string, i) => markup + renderValue(values[i - 1]) + string));
+}
+
+export function setHtml(element, content) {
+    // A list of rows is joined the same way an interpolated array is
+    const markup = Array.isArray(content) ? html`${content}` : content;
+    if (!(markup instanceof SafeHtml)) {
+        throw new TypeError('setHtml() only accepts markup built with html`...`');
+    }
+    element.innerHTML = markup.markup;
+}
+
+// Returns the normalized URL when it uses an allowed protocol, otherwise null.
+// URL parsing strips the tabs, newlines and leading control characters that
+// browsers also ignore, so "java\tscript:" is caught as javascript:.
+export function safeUrl(value, protocols = SAFE_URL_PROTOCOLS) {
+    if (typeof value !== 'string') return null;
+
+    try {
+        const url = new URL(value.trim());
+        return protocols.includes(url.protocol) ? url.href : null;
+    } catch (err) {
+        return null;
+    }
+}
@@ -0,0 +1,270 @@
+// Audit Exports
+
+import { CONFIG, PROJECT_STATUSES, PROJECT_TYPES } from './config.js';
+import { selectedChainId } from './network.js';
+import { contractsReady } from './web3.js';
+import { getBlockTimestamp, getIndexedEvents, getIndexedListings, getIndexedProjects, indexedBlocks } from './indexer.js';
+import { loadCreditTypes } from './credits.js';
+import { mintedTokensFor } from './owner-console.js';
+import { downloadFile, formatEthValue, showToast, toCsv } from './ui.js';
+
+// Every dataset is built from indexed events, so each row carries the block
+// and transaction it was recorded in
+const EXPORT_DATASETS = {
+    projects: {
+        label: 'projects',
+        contract: 'ProjectRegistry',
+        columns: ['projectId', 'projectName', 'location', 'projectType', 'projectTypeName', 'status', 'statusName', 'projectOwner', 'description', 'estimatedAnnualCredits', 'registrationDate', 'approvalDate', 'verificationDocuments', 'tokenIds', 'blockNumber', 'transactionHash', 'statusBlockNumber', 'statusTransactionHash'],
+        records: projectExportRecords
+    },
+    listings: {
+        label: 'listings',
+        contract: 'Marketplace',
+        columns: ['listedAt', 'listingId', 'tokenId', 'projectName', 'seller', 'amountListed', 'amountRemaining', 'pricePerCreditEth', 'status', 'blockNumber', 'transactionHash'],
+        records: listingExportRecords
+    },
+    purchases: {
+        label: 'purchases',
+        contract: 'Marketplace',
+        columns: ['purchasedAt', 'listingId', 'tokenId', 'projectName', 'buyer', 'seller', 'amount', 'pricePerCreditEth', 'totalPriceEth', 'protocolFeeEth', 'blockNumber', 'transactionHash'],
+        records: purchaseExportRecords
+    },
+    retirements: {
+        label: 'retirements',
+        contract: 'CarbonCredit',
+        columns: ['retiredAt', 'tokenId', 'projectName', 'retiree', 'amount', 'blockNumber', 'transactionHash'],
+        records: retirementExportRecords
+    }
+};
+
+function toIsoDate(seconds) {
+    return seconds ? new Date(seconds * 1000).toISOString() : '';
+}
+
+function exportProjectName(creditTypes, tokenId) {
+    const creditType = creditTypes[tokenId.toString()];
+    return creditType ? creditType.projectName : '';
+}
+
+// Records pair the exported row with the values the filters match against
+
+function projectExportRecords() {
+    const creditTypes = Object.values(loadCreditTypes());
+    const registrations = {};
+    const statusChanges = {};
+
+    getIndexedEvents('ProjectRegistry', 'ProjectRegistered').forEach(log => {
+        registrations[log.args.projectId.toString()] = log;
+    });
+    getIndexedEvents('ProjectRegistry', 'ProjectStatusChanged').forEach(log => {
+        statusChanges[log.args.projectId.toString()] = log;
+    });
+
+    return getIndexedProjects().map(project => {
+        const id = project.projectId.toString();
+        const registration = registrations[id] || {};
+        const statusChange = statusChanges[id] || {};
+        const tokenIds = mintedTokensFor(project, creditTypes).map(minted => minted.tokenId.toString());
+
+        return {
+            timestamp: project.registrationDate.toNumber(),
+            addresses: [project.projectOwner],
+            tokenIds,
+            row: {
+                projectId: id,
+                projectName: project.projectName,
+                location: project.location,
+                projectType: project.projectType,
+                projectTypeName: PROJECT_TYPES[project.projectType],
+                status: project.status,
+                statusName: PROJECT_STATUSES[project.status],
+                projectOwner: project.projectOwner,
+                description: project.description,
+                estimatedAnnualCredits: project.estimatedAnnualCredits.toString(),
+                registrationDate: toIsoDate(project.registrationDate.toNumber()),
+                approvalDate: toIsoDate(project.approvalDate.toNumber()),
+                verificationDocuments: project.verificationDocuments,
+                tokenIds: tokenIds.join(';'),
+                blockNumber: registration.blockNumber,
+                transactionHash: registration.transactionHash,
+                statusBlockNumber: statusChange.blockNumber,
+                statusTransactionHash: statusChange.transactionHash
+            }
+        };
+    });
+}
+
+function listingExportRecords() {
+    const creditTypes = loadCreditTypes();
+    const listings = {};
+    getIndexedListings().forEach(listing => {
+        listings[listing.listingId.toString()] = listing;
+    });
+
+    return getIndexedEvents('Marketplace', 'ListingCreated').map(log => {
+        const listing = listings[log.args.listingId.toString()];
+        let status = 'Active';
+        if (!listing.active) status = listing.amount.isZero() ? 'Sold' : 'Cancelled';
+
+        return {
+            timestamp: indexedBlocks[log.blockNumber],
+            addresses: [log.args.seller],
+            tokenIds: [log.args.tokenId.toString()],
+            row: {
+                listedAt: toIsoDate(indexedBlocks[log.blockNumber]),
+                listingId: log.args.listingId.toString(),
+                tokenId: log.args.tokenId.toString(),
+                projectName: exportProjectName(creditTypes, log.args.tokenId),
+                seller: log.args.seller,
+                amountListed: log.args.amount.toString(),
+                amountRemaining: listing.amount.toString(),
+                pricePerCreditEth: formatEthValue(log.args.pricePerCredit),
+                status,
+                blockNumber: log.blockNumber,
+                transactionHash: log.transactionHash
+            }
+        };
+    });
+}
+
+function purchaseExportRecords() {
+    const creditTypes = loadCreditTypes();
+
+    return getIndexedEvents('Marketplace', 'CreditsPurchased').map(log => ({
+        timestamp: indexedBlocks[log.blockNumber],
+        addresses: [log.args.buyer, log.args.seller],
+        tokenIds: [log.args.tokenId.toString()],
+        row: {
+            purchasedAt: toIsoDate(indexedBlocks[log.blockNumber]),
+            listingId: log.args.listingId.toString(),
+            tokenId: log.args.tokenId.toString(),
+            projectName: exportProjectName(creditTypes, log.args.tokenId),
+            buyer: log.args.buyer,
+            seller: log.args.seller,
+            amount: log.args.amount.toString(),
+            pricePerCreditEth: formatEthValue(log.args.totalPrice.div(log.args.amount)),
+            totalPriceEth: formatEthValue(log.args.totalPrice),
+            protocolFeeEth: formatEthValue(log.args.protocolFee),
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash
+        }
+    }));
+}
+
+function retirementExportRecords() {
+    const creditTypes = loadCreditTypes();
+
+    return getIndexedEvents('CarbonCredit', 'CreditRetired').map(log => ({
+        timestamp: indexedBlocks[log.blockNumber],
+        addresses: [log.args.retiree],
+        tokenIds: [log.args.tokenId.toString()],
+        row: {
+            retiredAt: toIsoDate(indexedBlocks[log.blockNumber]),
+            tokenId: log.args.tokenId.toString(),
+            projectName: exportProjectName(creditTypes, log.args.tokenId),
+            retiree: log.args.retiree,
+            amount: log.args.amount.toString(),
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash
+        }
+    }));
+}
+
+// Filters
+
+export function readExportFilters() {
+    const from = document.getElementById('exportFrom').value;
+    const to = document.getElementById('exportTo').value;
+    const address = document.getElementById('exportAddress').value.trim();
+    const tokenId = document.getElementById('exportTokenId').value.trim();
+
+    if (address && !ethers.utils.isAddress(address)) {
+        throw new Error('Address filter is not a valid address');
+    }
+    if (tokenId && !/^\d+$/.test(tokenId)) {
+        throw new Error('Token ID filter must be a whole number');
+    }
+    if (from && to && from > to) {
+        throw new Error('Start date is after the end date');
+    }
+
+    return {
+        from: from || null,
+        to: to || null,
+        address: address ? ethers.utils.getAddress(address) : null,
+        tokenId: tokenId ? BigInt(tokenId).toString() : null
+    };
+}
+
+function matchesExportFilters(record, filters) {
+    // Date inputs are whole days in UTC; the end date is inclusive
+    const fromSeconds = filters.from ? Date.parse(`${filters.from}T00:00:00Z`) / 1000 : null;
+    const toSeconds = filters.to ? Date.parse(`${filters.to}T23:59:59Z`) / 1000 : null;
+
+    if (fromSeconds !== null && record.timestamp < fromSeconds) return false;
+    if (toSeconds !== null && record.timestamp > toSeconds) return false;
+    if (filters.address && !record.addresses.some(address => address.toLowerCase() === filters.address.toLowerCase())) {
+        return false;
+    }
+    if (filters.tokenId && !record.tokenIds.includes(filters.tokenId)) return false;
+    return true;
+}
+
+export async function exportDataset(dataset, filters) {
+    const { records } = EXPORT_DATASETS[dataset];
+
+    // Event rows are dated by their block, so make sure every timestamp is cached
+    const blocks = [
+        ...getIndexedEvents('Marketplace', 'ListingCreated'),
+        ...getIndexedEvents('Marketplace', 'CreditsPurchased'),
+        ...getIndexedEvents('CarbonCredit', 'CreditRetired')
+    ].map(log => log.blockNumber);
+    await Promise.all([...new Set(blocks)].map(getBlockTimestamp));
+
+    return records()
+        .filter(record => matchesExportFilters(record, filters))
+        .map(record => record.row);
+}
+
+export async function exportRecords(format) {
+    if (!contractsReady()) {
+        showToast('Error', 'Contract data has not loaded yet');
+        return;
+    }
+
+    const dataset = document.getElementById('exportDataset').value;
+    const { label, contract, columns } = EXPORT_DATASETS[dataset];
+
+    try {
+        const filters = readExportFilters();
+        const rows = await exportDataset(dataset, filters);
+
+        if (rows.length === 0) {
+            showToast('Error', `No ${label} match the selected filters`);
+            return;
+        }
+
+        const stamp = new Date().toISOString().slice(0, 10);
+
+        if (format === 'json') {
+            const report = {
+                generatedAt: new Date().toISOString(),
+                network: CONFIG.NETWORK.chainName,
+                chainId: selectedChainId,
+                contract: CONFIG.CONTRACTS[contract],
+                dataset,
+                filters,
+                count: rows.length,
+                rows
+            };
+            downloadFile(`vericarbon-${dataset}-${stamp}.json`, JSON.stringify(report, null, 2), 'application/json');
+        } else {
+            downloadFile(`vericarbon-${dataset}-${stamp}.csv`, toCsv(rows, columns), 'text/csv');
+        }
+
+        showToast('Success', `Exported ${rows.length} ${label}`);
+    } catch (err) {
+        console.error(err);
+        showToast('Error', err.message.slice(0, 100));
+    }
+}
@@ -0,0 +1,451 @@
+// Event Indexer
+//
+// Backfills contract events in block-range chunks and persists them to
+// IndexedDB, keyed by chain and contract address. Views read from the
+// in-memory copy of this cache instead of polling the contracts per record.
+
+import { CONFIG } from './config.js';
+import { contracts, provider } from './web3.js';
+
+const INDEXER_DB_NAME = 'vericarbon-indexer';
+const INDEXER_DB_VERSION = 1;
+const INDEXER_CHUNK_SIZE = 5000;
+const INDEXER_MIN_CHUNK_SIZE = 100;
+// Blocks below the last indexed one that are fetched again, in case the tip was reorganized
+const INDEXER_REORG_DEPTH = 12;
+
+// Role, pause and fee events feed the admin audit trail in the Smart Contracts tab
+export const INDEXED_EVENTS = {
+    ProjectRegistry: ['ProjectRegistered', 'ProjectStatusChanged', 'ProjectApproved', 'ProjectRejected', 'RoleGranted', 'RoleRevoked', 'Paused', 'Unpaused'],
+    CarbonCredit: ['CreditTypeMinted', 'CreditVerified', 'CreditRetired', 'TransferSingle', 'TransferBatch', 'RoleGranted', 'RoleRevoked', 'Paused', 'Unpaused'],
+    Marketplace: ['ListingCreated', 'CreditsPurchased', 'ListingCancelled', 'ProtocolFeeUpdated', 'FeeRecipientUpdated', 'RoleGranted', 'RoleRevoked', 'Paused', 'Unpaused']
+};
+
+let indexerDb = null;
+let indexerChainId = null;
+export let indexerScopes = {};
+export let indexedProjects = {};
+export let indexedBlocks = {};
+let indexerSyncPromise = null;
+// Bumped by openIndexer so a backfill for the previous chain or account stops
+let indexerGeneration = 0;
+
+// IndexedDB helpers
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function idbTransaction(stores, mode, work) {
+    if (!indexerDb) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+        const tx = indexerDb.transaction(stores, mode);
+        work(tx);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function openIndexerDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(INDEXER_DB_NAME, INDEXER_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore('meta', { keyPath: 'scope' });
+            db.createObjectStore('logs', { keyPath: 'id' }).createIndex('scope', 'scope');
+            db.createObjectStore('projects', { keyPath: 'id' }).createIndex('scope', 'scope');
+            db.createObjectStore('blocks', { keyPath: 'id' }).createIndex('chainId', 'chainId');
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Serialization (BigNumbers are stored as decimal strings)
+
+function serializeValue(value) {
+    if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+    if (Array.isArray(value)) return value.map(serializeValue);
+    return value;
+}
+
+function hydrateValue(type, value) {
+    if (type.endsWith('[]')) return value.map(item => hydrateValue(type.slice(0, -2), item));
+    // Small integer types (e.g. uint8 enums) are already plain numbers
+    if (/^u?int/.test(type) && typeof value === 'string') return ethers.BigNumber.from(value);
+    return value;
+}
+
+function hydrateArgs(inputs, stored) {
+    const args = {};
+    inputs.forEach(input => {
+        args[input.name] = hydrateValue(input.type, stored[input.name]);
+    });
+    return args;
+}
+
+function hydrateLog(contractName, record) {
+    const fragment = contracts[contractName].interface.getEvent(record.event);
+
+    return {
+        event: record.event,
+        blockNumber: record.blockNumber,
+        transactionHash: record.transactionHash,
+        logIndex: record.logIndex,
+        args: hydrateArgs(fragment.inputs, record.args)
+    };
+}
+
+function projectFields() {
+    return contracts.ProjectRegistry.interface.getFunction('getProjectInfo').outputs[0].components;
+}
+
+function hydrateProject(record) {
+    return hydrateArgs(projectFields(), record.project);
+}
+
+// Scope setup
+
+function sameEventList(stored, events) {
+    return Array.isArray(stored) && stored.length === events.length && events.every(name => stored.includes(name));
+}
+
+function scopeKey(contractName) {
+    return `${indexerChainId}:${contracts[contractName].address.toLowerCase()}`;
+}
+
+export async function openIndexer(chainId) {
+    indexerGeneration++;
+    indexerChainId = chainId;
+    indexerScopes = {};
+    indexedProjects = {};
+    indexedBlocks = {};
+    indexerSyncPromise = null;
+
+    if (!indexerDb && window.indexedDB) {
+        try {
+            indexerDb = await openIndexerDb();
+        } catch (err) {
+            console.warn('IndexedDB unavailable, indexing in memory only:', err);
+        }
+    }
+
+    for (const contractName of Object.keys(INDEXED_EVENTS)) {
+        const key = scopeKey(contractName);
+        const scope = { key, lastBlock: null, logs: [] };
+
+        if (indexerDb) {
+            const tx = indexerDb.transaction(['meta', 'logs'], 'readonly');
+            const [meta, records] = await Promise.all([
+                idbRequest(tx.objectStore('meta').get(key)),
+                idbRequest(tx.objectStore('logs').index('scope').getAll(key))
+            ]);
+
+            // A cache written for a different event list is missing logs, so
+            // it is backfilled again from the deployment block
+            if (meta && sameEventList(meta.events, INDEXED_EVENTS[contractName])) {
+                scope.lastBlock = meta.lastBlock;
+                scope.logs = records
+                    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+                    .map(record => hydrateLog(contractName, record));
+            }
+        }
+
+        indexerScopes[contractName] = scope;
+    }
+
+    if (indexerDb) {
+        const tx = indexerDb.transaction(['projects', 'blocks'], 'readonly');
+        const [projects, blocks] = await Promise.all([
+            idbRequest(tx.objectStore('projects').index('scope').getAll(scopeKey('ProjectRegistry'))),
+            idbRequest(tx.objectStore('blocks').index('chainId').getAll(indexerChainId))
+        ]);
+
+        projects.forEach(record => { indexedProjects[record.projectId] = hydrateProject(record); });
+        blocks.forEach(record => { indexedBlocks[record.blockNumber] = record.timestamp; });
+    }
+}
+
+// Sync
+
+// Binary search for the first block with contract code, for deployments with
+// no configured block. Needs a node that serves historical state.
+async function findDeploymentBlock(contractName, address, latest) {
+    try {
+        let low = 0;
+        let high = latest;
+
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            const code = await provider.getCode(address, mid);
+            if (code === '0x') low = mid + 1; else high = mid;
+        }
+
+        return low;
+    } catch (err) {
+        throw new Error(`Could not locate the ${contractName} deployment block; set deploymentBlock for this network in config.js (${err.message})`);
+    }
+}
+
+// Drops the logs from `fromBlock` on, so they are fetched again from the node
+async function rewindScope(contractName, scope, fromBlock) {
+    const dropped = scope.logs.filter(log => log.blockNumber >= fromBlock);
+    const lastBlock = fromBlock - 1;
+
+    await idbTransaction(['meta', 'logs'], 'readwrite', tx => {
+        dropped.forEach(log => tx.objectStore('logs').delete(`${scope.key}:${log.transactionHash}:${log.logIndex}`));
+        tx.objectStore('meta').put({ scope: scope.key, lastBlock, events: INDEXED_EVENTS[contractName] });
+    });
+
+    scope.logs = scope.logs.filter(log => log.blockNumber < fromBlock);
+    scope.lastBlock = lastBlock;
+}
+
+// Returns the logs added to the scope, or null once openIndexer has moved on
+async function syncScope(contractName, latest, generation) {
+    const contract = contracts[contractName];
+    const scope = indexerScopes[contractName];
+    const topics = [INDEXED_EVENTS[contractName].map(name => contract.interface.getEventTopic(name))];
+    const superseded = () => generation !== indexerGeneration;
+
+    if (scope.lastBlock === null) {
+        const configured = CONFIG.DEPLOYMENT_BLOCKS[contractName];
+        const deploymentBlock = configured ?? await findDeploymentBlock(contractName, contract.address, latest);
+        if (superseded()) return null;
+        scope.lastBlock = deploymentBlock - 1;
+    } else if (scope.lastBlock >= 0) {
+        await rewindScope(contractName, scope, Math.max(scope.lastBlock - INDEXER_REORG_DEPTH + 1, 0));
+        if (superseded()) return null;
+    }
+
+    const added = [];
+    let chunkSize = INDEXER_CHUNK_SIZE;
+    let fromBlock = scope.lastBlock + 1;
+
+    while (fromBlock <= latest) {
+        const toBlock = Math.min(fromBlock + chunkSize - 1, latest);
+
+        let logs;
+        try {
+            logs = await provider.getLogs({ address: contract.address, topics, fromBlock, toBlock });
+        } catch (err) {
+            // Providers cap the block range or result size of eth_getLogs
+            if (chunkSize > INDEXER_MIN_CHUNK_SIZE) {
+                chunkSize = Math.max(Math.floor(chunkSize / 2), INDEXER_MIN_CHUNK_SIZE);
+                continue;
+            }
+            throw err;
+        }
+        if (superseded()) return null;
+
+        const records = logs.map(log => {
+            const parsed = contract.interface.parseLog(log);
+            const args = {};
+            parsed.eventFragment.inputs.forEach((input, i) => { args[input.name] = serializeValue(parsed.args[i]); });
+
+            return {
+                id: `${scope.key}:${log.transactionHash}:${log.logIndex}`,
+                scope: scope.key,
+                event: parsed.name,
+                blockNumber: log.blockNumber,
+                transactionHash: log.transactionHash,
+                logIndex: log.logIndex,
+                args
+            };
+        });
+
+        await idbTransaction(['meta', 'logs'], 'readwrite', tx => {
+            records.forEach(record => tx.objectStore('logs').put(record));
+            tx.objectStore('meta').put({ scope: scope.key, lastBlock: toBlock, events: INDEXED_EVENTS[contractName] });
+        });
+        if (superseded()) return null;
+
+        const hydrated = records.map(record => hydrateLog(contractName, record));
+        scope.logs.push(...hydrated);
+        added.push(...hydrated);
+        scope.lastBlock = toBlock;
+        fromBlock = toBlock + 1;
+    }
+
+    return added;
+}
+
+// Project structs are not fully described by events, so a snapshot is read
+// once when a project is registered and again whenever its status changes.
+async function refreshProjectSnapshots(registryLogs) {
+    const ids = [...new Set(registryLogs.filter(log => log.args.projectId).map(log => log.args.projectId.toString()))];
+    if (ids.length === 0) return;
+
+    const projects = await Promise.all(ids.map(id => contracts.ProjectRegistry.getProjectInfo(id)));
+    const scope = scopeKey('ProjectRegistry');
+
+    const records = projects.map((project, i) => {
+        const stored = {};
+        projectFields().forEach(field => { stored[field.name] = serializeValue(project[field.name]); });
+        return { id: `${scope}:${ids[i]}`, scope, projectId: ids[i], project: stored };
+    });
+
+    await idbTransaction(['projects'], 'readwrite', tx => {
+        records.forEach(record => tx.objectStore('projects').put(record));
+    });
+
+    records.forEach(record => { indexedProjects[record.projectId] = hydrateProject(record); });
+}
+
+// Resolves to the logs added per contract, or null when a switch to another
+// chain or account superseded the sync; that switch starts its own
+export async function syncIndexer() {
+    if (!indexerSyncPromise) {
+        const generation = indexerGeneration;
+        const sync = (async () => {
+            const latest = await provider.getBlockNumber();
+            const added = {};
+
+            for (const contractName of Object.keys(INDEXED_EVENTS)) {
+                if (generation !== indexerGeneration) return null;
+                added[contractName] = await syncScope(contractName, latest, generation);
+                if (!added[contractName]) return null;
+            }
+
+            await refreshProjectSnapshots(added.ProjectRegistry);
+            if (generation !== indexerGeneration) return null;
+            updateIndexerStatus();
+            return added;
+        })().finally(() => {
+            if (indexerSyncPromise === sync) indexerSyncPromise = null;
+        });
+        indexerSyncPromise = sync;
+    }
+
+    return indexerSyncPromise;
+}
+
+export async function rebuildIndexer() {
+    const keys = Object.values(indexerScopes).map(scope => scope.key);
+
+    await idbTransaction(['meta', 'logs', 'projects'], 'readwrite', tx => {
+        keys.forEach(key => {
+            tx.objectStore('meta').delete(key);
+            tx.objectStore('logs').index('scope').openCursor(key).onsuccess = event => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            tx.objectStore('projects').index('scope').openCursor(key).onsuccess = event => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+        });
+    });
+
+    await openIndexer(indexerChainId);
+    return syncIndexer();
+}
+
+function updateIndexerStatus() {
+    const status = document.getElementById('indexerStatus');
+    if (!status) return;
+
+    const blocks = Object.values(indexerScopes).map(scope => scope.lastBlock);
+    status.textContent = `Indexed to block ${Math.min(...blocks)}`;
+}
+
+// Block timestamps
+
+export async function getBlockTimestamp(blockNumber) {
+    if (indexedBlocks[blockNumber] === undefined) {
+        const block = await provider.getBlock(blockNumber);
+        indexedBlocks[blockNumber] = block.timestamp;
+
+        await idbTransaction(['blocks'], 'readwrite', tx => {
+            tx.objectStore('blocks').put({
+                id: `${indexerChainId}:${blockNumber}`,
+                chainId: indexerChainId,
+                blockNumber,
+                timestamp: block.timestamp
+            });
+        });
+    }
+    return indexedBlocks[blockNumber];
+}
+
+// Queries
+
+export function getIndexedEvents(contractName, eventName) {
+    return indexerScopes[contractName].logs.filter(log => log.event === eventName);
+}
+
+export function getIndexedProjects() {
+    return Object.values(indexedProjects).sort((a, b) => a.projectId.sub(b.projectId).toNumber());
+}
+
+export function getIndexedCreditTypes() {
+    const creditTypes = {};
+
+    getIndexedEvents('CarbonCredit', 'CreditTypeMinted').forEach(log => {
+        creditTypes[log.args.tokenId.toString()] = {
+            tokenId: log.args.tokenId,
+            projectName: log.args.projectName,
+            location: log.args.location,
+            creditCategory: log.args.creditCategory,
+            totalSupply: log.args.amount,
+            isVerified: false,
+            verificationTimestamp: ethers.constants.Zero
+        };
+    });
+
+    getIndexedEvents('CarbonCredit', 'CreditVerified').forEach(log => {
+        const creditType = creditTypes[log.args.tokenId.toString()];
+        if (creditType) {
+            creditType.isVerified = true;
+            creditType.verificationTimestamp = log.args.timestamp;
+        }
+    });
+
+    return creditTypes;
+}
+
+// Replays listing events into the same shape Marketplace.getListing returns
+export function getIndexedListings() {
+    const listings = {};
+
+    indexerScopes.Marketplace.logs.filter(log => log.args.listingId).forEach(log => {
+        const key = log.args.listingId.toString();
+
+        if (log.event === 'ListingCreated') {
+            listings[key] = {
+                listingId: log.args.listingId,
+                tokenId: log.args.tokenId,
+                seller: log.args.seller,
+                amount: log.args.amount,
+                pricePerCredit: log.args.pricePerCredit,
+                active: true,
+                createdBlock: log.blockNumber
+            };
+        } else if (log.event === 'CreditsPurchased' && listings[key]) {
+            listings[key].amount = listings[key].amount.sub(log.args.amount);
+            if (listings[key].amount.isZero()) listings[key].active = false;
+        } else if (log.event === 'ListingCancelled' && listings[key]) {
+            listings[key].active = false;
+        }
+    });
+
+    return Object.values(listings).sort((a, b) => b.listingId.sub(a.listingId).toNumber());
+}
+
+export function getIndexedVolume() {
+    return getIndexedEvents('Marketplace', 'CreditsPurchased')
+        .reduce((sum, log) => sum.add(log.args.totalPrice), ethers.constants.Zero);
+}
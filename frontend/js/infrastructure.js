@@ -0,0 +1,267 @@
+// Infrastructure Map
+//
+// Projects are drawn on the bundled province outlines. A marker uses the
+// coordinates from the project's pinned metadata when there are any, and
+// otherwise sits near the centre of the province named in its location.
+
+import { PROJECT_STATUSES, SA_PROVINCES } from './config.js';
+import { html, setHtml } from './dom.js';
+import { contractsReady } from './web3.js';
+import { getIndexedEvents, getIndexedProjects } from './indexer.js';
+import { loadCreditTypes } from './credits.js';
+import { mintedTokensFor } from './owner-console.js';
+import { resolveDocumentUrl } from './project-detail.js';
+import { compareBigNumbers } from './project-filters.js';
+import { PROJECT_METADATA_SCHEMA, SA_BOUNDS } from './registration.js';
+import { SA_PROVINCE_GEOJSON } from './sa-provinces.geo.js';
+import { parseProvince } from './ui.js';
+
+const MAP_BOUNDS = { west: 16.2, east: 33.1, north: -21.9, south: -35.1 };
+// Equirectangular, with longitude shrunk to its length at SA's mid-latitude
+const MAP_SCALE = 36;
+const MAP_LONGITUDE_SCALE = Math.cos(28.5 * Math.PI / 180);
+const MAP_WIDTH = Math.round((MAP_BOUNDS.east - MAP_BOUNDS.west) * MAP_SCALE * MAP_LONGITUDE_SCALE);
+const MAP_HEIGHT = Math.round((MAP_BOUNDS.north - MAP_BOUNDS.south) * MAP_SCALE);
+
+// ProjectStatus order, matching the Tailwind colors used for status badges
+const STATUS_MARKER_COLORS = ['#9ca3af', '#10b981', '#ef4444', '#3b82f6', '#eab308'];
+const MARKER_RADIUS = { min: 4, max: 14 };
+const METADATA_MAX_BYTES = 256 * 1024;
+const METADATA_RETRY_MS = 60 * 1000;
+
+// Metadata lookups by gateway URL. Pinned content never changes, so metadata
+// is kept for the session; a failed lookup may just be a slow gateway and is
+// tried again once METADATA_RETRY_MS has passed.
+const projectMetadataRequests = {};
+let infrastructureRender = 0;
+
+function projectPoint([longitude, latitude]) {
+    return [
+        (longitude - MAP_BOUNDS.west) * MAP_SCALE * MAP_LONGITUDE_SCALE,
+        (MAP_BOUNDS.north - latitude) * MAP_SCALE
+    ];
+}
+
+// Metadata
+
+export function loadProjectMetadata(uri) {
+    // Registration pins metadata as ipfs://<cid>; http(s) documents are usually PDFs
+    const url = /^ipfs:\/\//i.test(uri || '') ? resolveDocumentUrl(uri) : null;
+    if (!url) return Promise.resolve(null);
+
+    const cached = projectMetadataRequests[url];
+    if (cached && (cached.failedAt === null || Date.now() - cached.failedAt < METADATA_RETRY_MS)) {
+        return cached.request;
+    }
+
+    const entry = { request: null, failedAt: null };
+    entry.request = fetchProjectMetadata(url).then(metadata => {
+        if (!metadata) entry.failedAt = Date.now();
+        return metadata;
+    });
+    projectMetadataRequests[url] = entry;
+    return entry.request;
+}
+
+async function fetchProjectMetadata(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok || Number(response.headers.get('content-length')) > METADATA_MAX_BYTES) return null;
+
+        const metadata = JSON.parse(await response.text());
+        return metadata && metadata.schema === PROJECT_METADATA_SCHEMA ? metadata : null;
+    } catch (err) {
+        // Not JSON, not ours, or the gateway is unreachable; the province fallback still applies
+        return null;
+    }
+}
+
+function metadataCoordinates(metadata) {
+    const coordinates = metadata && metadata.location && metadata.location.coordinates;
+    if (!coordinates) return null;
+
+    const { latitude, longitude } = coordinates;
+    const [south, north] = SA_BOUNDS.latitude;
+    const [west, east] = SA_BOUNDS.longitude;
+    if (!Number.isFinite(latitude) || latitude < south || latitude > north) return null;
+    if (!Number.isFinite(longitude) || longitude < west || longitude > east) return null;
+    return [longitude, latitude];
+}
+
+// Placement & aggregates
+
+export function placeProjects(projects, metadata) {
+    const centers = {};
+    SA_PROVINCE_GEOJSON.features.forEach(feature => { centers[feature.properties.code] = feature.properties.center; });
+    const approximateCount = {};
+
+    return projects.map(project => {
+        const id = project.projectId.toString();
+        const projectMetadata = metadata[id];
+        const metadataProvince = projectMetadata && projectMetadata.location
+            && SA_PROVINCES.find(province => province.code === projectMetadata.location.provinceCode);
+        const province = metadataProvince || parseProvince(project.location);
+        const coordinates = metadataCoordinates(projectMetadata);
+
+        if (coordinates) return { project, province, coordinates, approximate: false };
+        if (!province) return { project, province: null, coordinates: null, approximate: true };
+
+        // Spread projects that share a province centre along a golden-angle spiral
+        const index = approximateCount[province.code] || 0;
+        approximateCount[province.code] = index + 1;
+        const [longitude, latitude] = centers[province.code];
+        const angle = index * 2.39996;
+        const distance = 0.35 * Math.sqrt(index);
+
+        return {
+            project,
+            province,
+            coordinates: [longitude + (distance * Math.cos(angle)) / MAP_LONGITUDE_SCALE, latitude + distance * Math.sin(angle)],
+            approximate: true
+        };
+    });
+}
+
+export function computeProvinceAggregates(placements) {
+    const aggregates = {};
+    SA_PROVINCES.forEach(province => {
+        aggregates[province.code] = { province, projects: 0, issued: ethers.constants.Zero, retired: ethers.constants.Zero };
+    });
+
+    placements.forEach(placement => {
+        if (placement.province) aggregates[placement.province.code].projects += 1;
+    });
+
+    // Credit types belong to a project by name and location; types minted
+    // without a registered project fall back to their own location
+    const creditTypes = Object.values(loadCreditTypes());
+    const tokenProvinces = {};
+    creditTypes.forEach(creditType => {
+        const placement = placements.find(candidate => mintedTokensFor(candidate.project, [creditType]).length > 0);
+        const province = (placement && placement.province) || parseProvince(creditType.location);
+        if (!province) return;
+
+        tokenProvinces[creditType.tokenId.toString()] = province.code;
+        aggregates[province.code].issued = aggregates[province.code].issued.add(creditType.totalSupply);
+    });
+
+    getIndexedEvents('CarbonCredit', 'CreditRetired').forEach(log => {
+        const code = tokenProvinces[log.args.tokenId.toString()];
+        if (code) aggregates[code].retired = aggregates[code].retired.add(log.args.amount);
+    });
+
+    return aggregates;
+}
+
+// Loading & rendering
+
+export async function loadInfrastructure() {
+    if (!contractsReady()) return;
+
+    const render = ++infrastructureRender;
+    const projects = getIndexedProjects();
+
+    try {
+        // Draw with province placements straight away, then again once metadata arrives
+        renderInfrastructure(projects, {});
+
+        const metadata = {};
+        await Promise.all(projects.map(async project => {
+            metadata[project.projectId.toString()] = await loadProjectMetadata(project.verificationDocuments);
+        }));
+
+        // A newer sync may have started while metadata was loading
+        if (render === infrastructureRender) renderInfrastructure(projects, metadata);
+    } catch (err) {
+        console.error('Error loading infrastructure map:', err);
+        document.getElementById('infrastructureMap').innerHTML = '<div class="text-center py-16 text-red-400 text-sm">Failed to load the project map</div>';
+    }
+}
+
+export function renderInfrastructure(projects, metadata) {
+    const placements = placeProjects(projects, metadata);
+    const aggregates = computeProvinceAggregates(placements);
+    const mapped = placements.filter(placement => placement.coordinates);
+
+    document.getElementById('infrastructureProjects').textContent = projects.length;
+    document.getElementById('infrastructureExact').textContent = mapped.filter(placement => !placement.approximate).length;
+    document.getElementById('infrastructureApproximate').textContent = mapped.filter(placement => placement.approximate).length;
+    document.getElementById('infrastructureUnplaced').textContent = placements.length - mapped.length;
+
+    renderInfrastructureMap(mapped, aggregates);
+    renderProvinceAggregates(aggregates);
+}
+
+function renderInfrastructureMap(placements, aggregates) {
+    const path = ring => `M${ring.map(point => projectPoint(point).map(value => value.toFixed(1)).join(',')).join('L')}Z`;
+    const maxIssued = Object.values(aggregates).reduce((max, aggregate) => (aggregate.issued.gt(max) ? aggregate.issued : max), ethers.constants.Zero);
+    const maxCredits = Math.max(1, ...placements.map(placement => Number(placement.project.estimatedAnnualCredits.toString())));
+
+    const areas = SA_PROVINCE_GEOJSON.features.map(feature => {
+        const { code, name, neighbour } = feature.properties;
+        const outline = path(feature.geometry.coordinates[0]);
+
+        if (neighbour) {
+            return html`<path d="${outline}" fill="#111827" stroke="#374151" stroke-width="1"><title>${name}</title></path>`;
+        }
+
+        const aggregate = aggregates[code];
+        // Shade provinces by the credits issued there
+        const shade = maxIssued.isZero() ? 0 : Number(aggregate.issued.mul(1000).div(maxIssued).toString()) / 1000;
+        return html`
+            <path d="${outline}" fill="#10b981" fill-opacity="${(0.06 + shade * 0.3).toFixed(2)}" stroke="#10b981" stroke-opacity="0.4" stroke-width="1">
+                <title>${name}: ${aggregate.projects} projects, ${aggregate.issued.toString()} tCO₂ issued, ${aggregate.retired.toString()} tCO₂ retired</title>
+            </path>
+        `;
+    });
+
+    // Largest first so smaller markers stay clickable on top
+    const markers = placements
+        .map(placement => ({ ...placement, radius: MARKER_RADIUS.min + (MARKER_RADIUS.max - MARKER_RADIUS.min) * Math.sqrt(Number(placement.project.estimatedAnnualCredits.toString()) / maxCredits) }))
+        .sort((a, b) => b.radius - a.radius)
+        .map(({ project, coordinates, approximate, radius }) => {
+            const [x, y] = projectPoint(coordinates);
+            const id = project.projectId.toString();
+            return html`
+                <a href="#/project/${id}">
+                    <circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${radius.toFixed(1)}" fill="${STATUS_MARKER_COLORS[project.status]}" fill-opacity="0.8"
+                        stroke="#fff" stroke-opacity="0.7" stroke-width="1" ${approximate ? html`stroke-dasharray="2 2"` : ''} class="cursor-pointer">
+                        <title>${project.projectName} • ${PROJECT_STATUSES[project.status]} • ${project.estimatedAnnualCredits.toString()} tCO₂/yr${approximate ? ' • approximate location' : ''}</title>
+                    </circle>
+                </a>
+            `;
+        });
+
+    setHtml(document.getElementById('infrastructureMap'), html`
+        <svg viewBox="0 0 ${MAP_WIDTH} ${MAP_HEIGHT}" class="w-full h-auto" role="img" aria-label="Map of registered projects in South Africa">
+            ${areas}
+            ${markers}
+        </svg>
+        <div class="flex flex-wrap gap-4 text-xs text-gray-500 mt-4">
+            ${PROJECT_STATUSES.map((status, index) => html`<span><span style="color: ${STATUS_MARKER_COLORS[index]}">●</span> ${status}</span>`)}
+            <span>Marker size: estimated annual credits</span>
+            <span>Dashed: placed by province, no coordinates in metadata</span>
+        </div>
+    `);
+}
+
+function renderProvinceAggregates(aggregates) {
+    const container = document.getElementById('infrastructureProvinces');
+    const rows = Object.values(aggregates)
+        .filter(aggregate => aggregate.projects > 0 || !aggregate.issued.isZero())
+        .sort((a, b) => b.projects - a.projects || compareBigNumbers(b.issued, a.issued));
+
+    if (rows.length === 0) {
+        container.innerHTML = '<tr><td colspan="4" class="text-center py-8 text-gray-500">No projects registered in a South African province yet</td></tr>';
+        return;
+    }
+
+    setHtml(container, rows.map(aggregate => html`
+        <tr class="border-t border-emerald-500/10">
+            <td class="py-2">${aggregate.province.name}</td>
+            <td class="py-2">${aggregate.projects}</td>
+            <td class="py-2 text-emerald-400">${aggregate.issued.toString()} tCO₂</td>
+            <td class="py-2 text-gray-400">${aggregate.retired.toString()} tCO₂</td>
+        </tr>
+    `));
+}
@@ -0,0 +1,106 @@
+// Live Contract Event Subscriptions
+
+import { PROJECT_STATUSES } from './config.js';
+import { contracts, contractsReady, loadContractData, userAddress } from './web3.js';
+import { INDEXED_EVENTS, indexedProjects } from './indexer.js';
+import { describeRole } from './transactions.js';
+import { formatAddress, showToast } from './ui.js';
+
+const LIVE_REFRESH_DELAY = 1000;
+
+let liveListeners = [];
+let liveRefreshTimer = null;
+
+export function subscribeToContractEvents() {
+    unsubscribeFromContractEvents();
+
+    Object.entries(INDEXED_EVENTS).forEach(([contractName, eventNames]) => {
+        const contract = contracts[contractName];
+
+        eventNames.forEach(eventName => {
+            // ethers passes the decoded args followed by the event object
+            const listener = (...args) => handleLiveEvent(eventName, args[args.length - 1]);
+            contract.on(eventName, listener);
+            liveListeners.push({ contract, eventName, listener });
+        });
+    });
+}
+
+export function unsubscribeFromContractEvents() {
+    liveListeners.forEach(({ contract, eventName, listener }) => contract.off(eventName, listener));
+    liveListeners = [];
+
+    clearTimeout(liveRefreshTimer);
+    liveRefreshTimer = null;
+}
+
+function handleLiveEvent(eventName, event) {
+    if (!contractsReady()) return;
+
+    const message = describeUserEvent(eventName, event.args);
+    if (message) showToast('Grid Update', message);
+
+    // Bursts of events (e.g. a purchase emits TransferSingle and
+    // CreditsPurchased) are folded into one sync and re-render
+    clearTimeout(liveRefreshTimer);
+    liveRefreshTimer = setTimeout(() => {
+        liveRefreshTimer = null;
+        loadContractData();
+    }, LIVE_REFRESH_DELAY);
+}
+
+export function isUserAddress(address) {
+    return !!address && !!userAddress && address.toLowerCase() === userAddress.toLowerCase();
+}
+
+// Events that name the user's address as one of their parties get a toast,
+// whoever sent the transaction. Status changes don't carry the owner, so the
+// indexed project supplies it.
+function describeUserEvent(eventName, args) {
+    switch (eventName) {
+        case 'ProjectRegistered':
+            if (!isUserAddress(args.projectOwner)) return null;
+            return `Project "${args.projectName}" registered as #${args.projectId.toString()}`;
+        case 'ProjectStatusChanged': {
+            const project = indexedProjects[args.projectId.toString()];
+            if (!isUserAddress(args.changedBy) && !(project && isUserAddress(project.projectOwner))) return null;
+            const name = project ? `"${project.projectName}"` : `#${args.projectId.toString()}`;
+            return `Project ${name} is now ${PROJECT_STATUSES[args.newStatus]}`;
+        }
+        case 'ListingCreated':
+            if (!isUserAddress(args.seller)) return null;
+            return `Listing #${args.listingId.toString()} created for ${args.amount.toString()} credits of token #${args.tokenId.toString()}`;
+        case 'ListingCancelled':
+            if (!isUserAddress(args.seller)) return null;
+            return `Listing #${args.listingId.toString()} cancelled`;
+        case 'CreditsPurchased':
+            if (isUserAddress(args.buyer)) {
+                return `Bought ${args.amount.toString()} credits from listing #${args.listingId.toString()} for ${ethers.utils.formatEther(args.totalPrice)} ETH`;
+            }
+            if (!isUserAddress(args.seller)) return null;
+            return `${args.amount.toString()} credits sold from listing #${args.listingId.toString()} for ${ethers.utils.formatEther(args.totalPrice)} ETH`;
+        case 'CreditRetired':
+            if (!isUserAddress(args.retiree)) return null;
+            return `Retired ${args.amount.toString()} credits of token #${args.tokenId.toString()}`;
+        case 'TransferSingle':
+            if (isUserAddress(args.to) && args.from === ethers.constants.AddressZero) return `Minted ${args.value.toString()} credits of token #${args.id.toString()}`;
+            if (isUserAddress(args.to)) return `Received ${args.value.toString()} credits of token #${args.id.toString()} from ${formatAddress(args.from)}`;
+            if (!isUserAddress(args.from)) return null;
+            return `Sent ${args.value.toString()} credits of token #${args.id.toString()} to ${formatAddress(args.to)}`;
+        case 'TransferBatch':
+            if (isUserAddress(args.to) && args.from === ethers.constants.AddressZero) return `Minted ${args.ids.length} credit types`;
+            if (isUserAddress(args.to)) return `Received ${args.ids.length} credit types from ${formatAddress(args.from)}`;
+            if (!isUserAddress(args.from)) return null;
+            return `Sent ${args.ids.length} credit types to ${formatAddress(args.to)}`;
+        case 'RoleGranted':
+            if (isUserAddress(args.account)) return `You were granted ${describeRole(args.role)} by ${formatAddress(args.sender)}`;
+            if (!isUserAddress(args.sender)) return null;
+            return `Granted ${describeRole(args.role)} to ${formatAddress(args.account)}`;
+        case 'RoleRevoked':
+            if (isUserAddress(args.account)) return `Your ${describeRole(args.role)} was revoked by ${formatAddress(args.sender)}`;
+            if (!isUserAddress(args.sender)) return null;
+            return `Revoked ${describeRole(args.role)} from ${formatAddress(args.account)}`;
+        default:
+            return null;
+    }
+}
@@ -1,59 +1,167 @@
 // Main Application Initialization
+//
+// Entry module for index.html. Buttons and rendered templates call their
+// handlers from inline on* attributes, which only see globals, so those
+// handlers are put on window here.
 
-document.addEventListener('DOMContentLoaded', () => {
+import { CONFIG, NETWORKS } from './config.js';
+import { changeNetwork, initNetworks } from './network.js';
+import { connectReadOnly, connectWallet, loadContractData, rebuildCache, resetWallet, walletConnected } from './web3.js';
+import { unsubscribeFromContractEvents } from './live-updates.js';
+import { clearFinishedTransactions } from './transactions.js';
+import { buyListing, cancelListing, changeListingsPage, submitSellListing, updateBuyQuote, updateSellSummary } from './marketplace.js';
+import { approveProject, rejectProject, updateProjectStatus, verifyCreditType } from './verification.js';
+import { mintProjectCredits } from './owner-console.js';
+import { closeCertificate, downloadCertificate, openLedgerCertificate, printCertificate, retireHolding } from './retirement.js';
+import { exportAnalytics, renderPriceChart } from './analytics.js';
+import { exportRecords } from './exports.js';
+import { handleRoute, updateIpfsGateway } from './project-detail.js';
+import { clearProjectFilters, initProjectFilters, updateProjectFilters } from './project-filters.js';
+import { initRegistrationForm, registerProject, updateIpfsApiUrl } from './registration.js';
+import { closeAdminAction, confirmAdminAction, reviewAdminAction } from './contract-inspector.js';
+import { showToast, switchTab } from './ui.js';
+import { initThreeJS, setBackgroundMode } from './three-bg.js';
+
+Object.assign(window, {
+    changeNetwork,
+    connectWallet,
+    loadContractData,
+    rebuildCache,
+    clearFinishedTransactions,
+    buyListing,
+    cancelListing,
+    changeListingsPage,
+    submitSellListing,
+    updateBuyQuote,
+    updateSellSummary,
+    approveProject,
+    rejectProject,
+    updateProjectStatus,
+    verifyCreditType,
+    mintProjectCredits,
+    closeCertificate,
+    downloadCertificate,
+    openLedgerCertificate,
+    printCertificate,
+    retireHolding,
+    exportAnalytics,
+    renderPriceChart,
+    exportRecords,
+    updateIpfsGateway,
+    clearProjectFilters,
+    updateProjectFilters,
+    registerProject,
+    updateIpfsApiUrl,
+    closeAdminAction,
+    confirmAdminAction,
+    reviewAdminAction,
+    switchTab,
+    setBackgroundMode
+});
+
+function initApp() {
     console.log('%c⚡ Vericarbon Energy Grid - Initializing...', 'color: #00ffc8; font-size: 16px; font-weight: bold');
     console.log('Deployed Contracts:', CONFIG.CONTRACTS);
     
     // Initialize Three.js background
     initThreeJS();
     
-    // Check if wallet is already connected
-    checkWalletConnection();
+    // Restore grid filters from a shared URL
+    initProjectFilters();
+    
+    // Show which IPFS node registration pins to
+    initRegistrationForm();
+    
+    // Open #/project/<id> links, including the one the page was loaded with
+    window.addEventListener('hashchange', handleRoute);
+    handleRoute();
+    
+    // Pick the deployment, then check if wallet is already connected
+    initNetworks().then(checkWalletConnection);
     
     // Listen for account changes
     if (window.ethereum) {
         window.ethereum.on('accountsChanged', handleAccountsChanged);
         window.ethereum.on('chainChanged', handleChainChanged);
+        window.ethereum.on('disconnect', handleDisconnect);
     }
-});
+}
+
+// Module scripts are deferred, so the document has usually been parsed already
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initApp);
+} else {
+    initApp();
+}
 
 async function checkWalletConnection() {
-    if (typeof window.ethereum === 'undefined') return;
-    
-    try {
-        const accounts = await window.ethereum.request({ method: 'eth_accounts' });
-        if (accounts.length > 0) {
-            // Auto-connect if previously connected
-            await connectWallet();
+    if (typeof window.ethereum !== 'undefined') {
+        try {
+            const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+            if (accounts.length > 0) {
+                // Auto-connect if previously connected
+                await connectWallet();
+            }
+        } catch (err) {
+            console.error('Error checking wallet connection:', err);
         }
-    } catch (err) {
-        console.error('Error checking wallet connection:', err);
     }
+    
+    // Browse without a wallet until the user connects
+    if (!walletConnected) connectReadOnly();
 }
 
-function handleAccountsChanged(accounts) {
+async function handleAccountsChanged(accounts) {
+    // A read-only page has no session to tear down and keeps its subscriptions
     if (accounts.length === 0) {
-        // User disconnected wallet
-        walletConnected = false;
-        userAddress = null;
-        document.getElementById('walletText').textContent = 'Connect Wallet';
-        document.getElementById('networkBadge').classList.add('hidden');
-        document.getElementById('contractStatus').textContent = 'DISCONNECTED';
-        document.getElementById('contractStatus').className = 'px-2 py-1 rounded bg-gray-500/20 text-gray-400 text-xs font-mono border border-gray-500/30';
-        
-        const projectsGrid = document.getElementById('projectsGrid');
-        projectsGrid.innerHTML = '<div class="col-span-full text-center py-12 text-gray-500">Connect wallet to view energy grid</div>';
-        
-        showToast('Disconnected', 'Wallet disconnected from grid');
-    } else {
-        // Account changed, reconnect
-        connectWallet();
+        handleDisconnect();
+        return;
+    }
+    
+    // Drop subscriptions bound to the previous account's contracts
+    if (walletConnected) {
+        unsubscribeFromContractEvents();
+        resetWallet();
     }
+    
+    // Account changed, reconnect
+    await connectWallet();
+    
+    // Keep the public grid live if the new account could not connect
+    if (!walletConnected) connectReadOnly();
+}
+
+function handleDisconnect() {
+    if (!walletConnected) return;
+    
+    unsubscribeFromContractEvents();
+    resetWallet();
+    document.getElementById('walletText').textContent = 'Connect Wallet';
+    
+    document.getElementById('myListings').innerHTML = '<div class="text-center py-8 text-gray-500 text-sm">Connect wallet to manage your listings</div>';
+    document.getElementById('myProjects').innerHTML = '<div class="col-span-full text-center py-8 text-gray-500 text-sm">Connect wallet to load your projects</div>';
+    document.getElementById('portfolioHoldings').innerHTML = '<tr><td colspan="7" class="text-center py-8 text-gray-500">Connect wallet to load your portfolio</td></tr>';
+    
+    showToast('Disconnected', 'Wallet disconnected from grid');
+    
+    // Keep the public grid visible
+    connectReadOnly();
 }
 
 function handleChainChanged(chainId) {
-    // Reload page on chain change
-    window.location.reload();
+    // connectWallet() switches chains itself before it marks the wallet connected
+    if (!walletConnected) return;
+    
+    unsubscribeFromContractEvents();
+    
+    if (!NETWORKS[Number(chainId)]) {
+        handleDisconnect();
+        showToast('Error', `Unsupported network (chain ID ${Number(chainId)})`);
+        return;
+    }
+    
+    // Load the new chain's deployment without reloading the page
+    connectWallet();
 }
 
 // Global error handler
@@ -0,0 +1,395 @@
+// Marketplace Order Book
+
+import { CONFIG } from './config.js';
+import { html, setHtml } from './dom.js';
+import { contracts, contractsReady, loadContractData, userAddress, walletConnected } from './web3.js';
+import { getIndexedListings } from './indexer.js';
+import { isUserAddress } from './live-updates.js';
+import { decodeTransactionError, sendTransaction } from './transactions.js';
+import { creditTypeCache, loadCreditBalances, loadCreditTypes } from './credits.js';
+import { formatAddress, renderSteps, showToast } from './ui.js';
+
+const LISTINGS_PAGE_SIZE = 6;
+
+let activeListings = [];
+let listingsPage = 0;
+let protocolFeePercent = null;
+let sellableCredits = [];
+
+function quoteListing(listing, amount) {
+    const total = listing.pricePerCredit.mul(amount);
+    const fee = total.mul(protocolFeePercent).div(1000);
+    return { total, fee, sellerProceeds: total.sub(fee) };
+}
+
+export async function loadMarketplace() {
+    if (!contractsReady()) return;
+
+    const loaders = [loadListings()];
+    if (walletConnected) loaders.push(loadMyListings(), loadSellableCredits());
+    await Promise.all(loaders);
+}
+
+export function getActiveListings() {
+    return getIndexedListings().filter(listing => listing.active);
+}
+
+export async function loadListings() {
+    const listingsGrid = document.getElementById('listingsGrid');
+
+    try {
+        protocolFeePercent = await contracts.Marketplace.protocolFeePercent();
+        activeListings = getActiveListings();
+
+        loadCreditTypes();
+
+        const pageCount = Math.max(1, Math.ceil(activeListings.length / LISTINGS_PAGE_SIZE));
+        listingsPage = Math.min(listingsPage, pageCount - 1);
+
+        renderListings();
+    } catch (err) {
+        console.error('Error loading listings:', err);
+        listingsGrid.innerHTML = '<div class="col-span-full text-center py-12 text-red-400">Failed to load order book</div>';
+    }
+}
+
+function renderListings() {
+    const listingsGrid = document.getElementById('listingsGrid');
+    const pageCount = Math.max(1, Math.ceil(activeListings.length / LISTINGS_PAGE_SIZE));
+
+    document.getElementById('listingsPageInfo').textContent = `Page ${listingsPage + 1} of ${pageCount}`;
+    document.getElementById('listingsPrev').disabled = listingsPage === 0;
+    document.getElementById('listingsNext').disabled = listingsPage >= pageCount - 1;
+
+    if (activeListings.length === 0) {
+        listingsGrid.innerHTML = '<div class="col-span-full text-center py-12 text-gray-500">No active listings on the market</div>';
+        return;
+    }
+
+    const start = listingsPage * LISTINGS_PAGE_SIZE;
+    const page = activeListings.slice(start, start + LISTINGS_PAGE_SIZE);
+
+    setHtml(listingsGrid, page.map(listing => {
+        const creditType = creditTypeCache[listing.tokenId.toString()];
+        const id = listing.listingId.toString();
+        const isOwn = isUserAddress(listing.seller);
+        const verifiedBadge = creditType.isVerified
+            ? html`<span class="px-2 py-1 rounded-full bg-emerald-500/20 border border-emerald-500/30 text-xs text-emerald-400 font-mono">Verified</span>`
+            : html`<span class="px-2 py-1 rounded-full bg-yellow-500/20 border border-yellow-500/30 text-xs text-yellow-400 font-mono">Unverified</span>`;
+
+        return html`
+            <div class="glass-card rounded-2xl p-6 border border-emerald-500/20 hover:border-emerald-500/50 transition-all">
+                <div class="flex justify-between items-start mb-4">
+                    <div>
+                        <h3 class="font-display text-lg font-semibold">${creditType.projectName}</h3>
+                        <p class="text-sm text-gray-500">${creditType.location} • ${creditType.creditCategory}</p>
+                    </div>
+                    ${verifiedBadge}
+                </div>
+
+                <div class="space-y-2 mb-4 text-sm">
+                    <div class="flex justify-between">
+                        <span class="text-gray-500">Listing</span>
+                        <span class="text-gray-400 font-mono text-xs">#${id} • Token #${listing.tokenId.toString()}</span>
+                    </div>
+                    <div class="flex justify-between">
+                        <span class="text-gray-500">Available</span>
+                        <span class="text-emerald-400 font-semibold">${listing.amount.toString()} tCO₂</span>
+                    </div>
+                    <div class="flex justify-between">
+                        <span class="text-gray-500">Price / Credit</span>
+                        <span class="text-emerald-400 font-semibold">${ethers.utils.formatEther(listing.pricePerCredit)} ETH</span>
+                    </div>
+                    <div class="flex justify-between">
+                        <span class="text-gray-500">Seller</span>
+                        <span class="text-gray-400 font-mono text-xs">${formatAddress(listing.seller)}</span>
+                    </div>
+                </div>
+
+                ${isOwn ? html`
+                    <div class="text-xs text-gray-500 pt-4 border-t border-emerald-500/10">Your listing — manage it under My Listings</div>
+                ` : html`
+                    <div class="pt-4 border-t border-emerald-500/10 space-y-3">
+                        <input type="number" min="1" max="${listing.amount.toString()}" id="buyAmount-${id}" placeholder="Credits to buy" oninput="updateBuyQuote(${id})"
+                            class="w-full px-4 py-2 rounded-xl bg-black/30 border border-emerald-500/20 focus:border-emerald-500 outline-none transition-all text-white placeholder-gray-600 text-sm">
+                        <div id="buyQuote-${id}" class="text-xs text-gray-500 font-mono">Enter an amount to see the total</div>
+                        <button onclick="buyListing(${id})" class="btn-primary w-full px-4 py-2 rounded-full font-semibold text-sm text-black">Buy Credits</button>
+                    </div>
+                `}
+            </div>
+        `;
+    }));
+}
+
+export function changeListingsPage(delta) {
+    const pageCount = Math.max(1, Math.ceil(activeListings.length / LISTINGS_PAGE_SIZE));
+    listingsPage = Math.min(Math.max(listingsPage + delta, 0), pageCount - 1);
+    renderListings();
+}
+
+function findActiveListing(listingId) {
+    return activeListings.find(listing => listing.listingId.toNumber() === listingId);
+}
+
+function readBuyAmount(listing) {
+    const value = document.getElementById(`buyAmount-${listing.listingId.toString()}`).value;
+    if (!/^\d+$/.test(value)) return null;
+
+    const amount = ethers.BigNumber.from(value);
+    if (amount.isZero() || amount.gt(listing.amount)) return null;
+    return amount;
+}
+
+export function updateBuyQuote(listingId) {
+    const listing = findActiveListing(listingId);
+    const quoteEl = document.getElementById(`buyQuote-${listingId}`);
+    if (!listing || !quoteEl) return;
+
+    const amount = readBuyAmount(listing);
+    if (!amount) {
+        quoteEl.textContent = `Enter between 1 and ${listing.amount.toString()} credits`;
+        return;
+    }
+
+    const { total, fee } = quoteListing(listing, amount);
+    quoteEl.textContent = `Total ${ethers.utils.formatEther(total)} ETH (incl. ${ethers.utils.formatEther(fee)} ETH protocol fee)`;
+}
+
+export async function buyListing(listingId) {
+    if (!walletConnected) {
+        showToast('Error', 'Please connect wallet first');
+        return;
+    }
+
+    const listing = findActiveListing(listingId);
+    if (!listing) {
+        showToast('Error', 'Listing is no longer active');
+        return;
+    }
+
+    const amount = readBuyAmount(listing);
+    if (!amount) {
+        showToast('Error', `Enter between 1 and ${listing.amount.toString()} credits`);
+        return;
+    }
+
+    const { total } = quoteListing(listing, amount);
+
+    try {
+        const receipt = await sendTransaction(
+            `Buying ${amount.toString()} credits for ${ethers.utils.formatEther(total)} ETH`,
+            contracts.Marketplace,
+            'buyCredits',
+            [listingId, amount],
+            { value: total }
+        );
+
+        showToast('Success', `Credits purchased! TX: ${receipt.transactionHash.slice(0, 10)}...`);
+        loadContractData();
+    } catch (err) {
+        console.error(err);
+        showToast('Error', decodeTransactionError(err));
+    }
+}
+
+async function loadMyListings() {
+    const myListings = document.getElementById('myListings');
+
+    try {
+        const listings = getIndexedListings().filter(listing =>
+            listing.seller.toLowerCase() === userAddress.toLowerCase()
+        );
+
+        if (listings.length === 0) {
+            myListings.innerHTML = '<div class="text-center py-8 text-gray-500 text-sm">You have no listings yet</div>';
+            return;
+        }
+
+        loadCreditTypes();
+
+        setHtml(myListings, listings.map(listing => {
+            const creditType = creditTypeCache[listing.tokenId.toString()];
+            const id = listing.listingId.toString();
+
+            return html`
+                <div class="flex items-center justify-between p-4 rounded-xl bg-black/30 border border-emerald-500/10">
+                    <div>
+                        <div class="font-medium">${creditType.projectName} <span class="text-gray-500 font-mono text-xs">#${id}</span></div>
+                        <div class="text-xs text-gray-500 font-mono">${listing.amount.toString()} tCO₂ @ ${ethers.utils.formatEther(listing.pricePerCredit)} ETH</div>
+                    </div>
+                    ${listing.active ? html`
+                        <button onclick="cancelListing(${id})" class="px-4 py-2 rounded-lg border border-red-500/30 text-red-400 hover:bg-red-500/10 transition-all text-sm">Cancel</button>
+                    ` : html`
+                        <span class="px-2 py-1 rounded bg-gray-500/20 text-gray-400 text-xs font-mono border border-gray-500/30">${listing.amount.isZero() ? 'SOLD' : 'CLOSED'}</span>
+                    `}
+                </div>
+            `;
+        }));
+    } catch (err) {
+        console.error('Error loading seller listings:', err);
+        myListings.innerHTML = '<div class="text-center py-8 text-red-400 text-sm">Failed to load your listings</div>';
+    }
+}
+
+export async function cancelListing(listingId) {
+    if (!walletConnected) {
+        showToast('Error', 'Please connect wallet first');
+        return;
+    }
+
+    try {
+        const receipt = await sendTransaction(`Cancelling listing #${listingId}`, contracts.Marketplace, 'cancelListing', [listingId]);
+
+        showToast('Success', `Listing cancelled! TX: ${receipt.transactionHash.slice(0, 10)}...`);
+        loadContractData();
+    } catch (err) {
+        console.error(err);
+        showToast('Error', decodeTransactionError(err));
+    }
+}
+
+// Sell Wizard
+
+const SELL_STEPS = [
+    { key: 'validate', label: 'Validate listing' },
+    { key: 'approval', label: 'Marketplace operator approval' },
+    { key: 'listing', label: 'Create listing' }
+];
+
+async function loadSellableCredits() {
+    const sellToken = document.getElementById('sellToken');
+
+    try {
+        const holdings = await loadCreditBalances(userAddress);
+        sellableCredits = holdings.filter(holding => !holding.balance.isZero());
+
+        if (sellableCredits.length === 0) {
+            sellToken.innerHTML = '<option value="">No credits held</option>';
+        } else {
+            setHtml(sellToken, sellableCredits.map(holding => html`
+                <option value="${holding.tokenId}">#${holding.tokenId} ${holding.creditType.projectName} — ${holding.balance.toString()} held${holding.creditType.isVerified ? '' : ' (unverified)'}</option>
+            `));
+        }
+
+        updateSellSummary();
+    } catch (err) {
+        console.error('Error loading credit balances:', err);
+        sellToken.innerHTML = '<option value="">Failed to load balances</option>';
+    }
+}
+
+function selectedSellHolding() {
+    const value = document.getElementById('sellToken').value;
+    return sellableCredits.find(holding => holding.tokenId.toString() === value);
+}
+
+export function updateSellSummary() {
+    const summary = document.getElementById('sellSummary');
+    const holding = selectedSellHolding();
+    const amount = document.getElementById('sellAmount').value;
+    const price = document.getElementById('sellPrice').value;
+
+    if (!holding) {
+        summary.textContent = 'Select a credit type to list';
+        return;
+    }
+
+    if (!/^\d+$/.test(amount) || !price) {
+        summary.textContent = `${holding.balance.toString()} credits available to list`;
+        return;
+    }
+
+    try {
+        const total = ethers.utils.parseEther(price).mul(amount);
+        summary.textContent = `Listing value ${ethers.utils.formatEther(total)} ETH before protocol fee`;
+    } catch (err) {
+        summary.textContent = 'Enter the price in ETH, e.g. 0.01';
+    }
+}
+
+function validateSellForm(holding) {
+    const amountValue = document.getElementById('sellAmount').value;
+    const priceValue = document.getElementById('sellPrice').value;
+
+    if (!holding) throw new Error('Select a credit type you hold');
+    if (!holding.creditType.isVerified) throw new Error('Only verified credits can be listed');
+    if (!/^\d+$/.test(amountValue) || Number(amountValue) === 0) throw new Error('Amount must be a whole number of credits');
+
+    const amount = ethers.BigNumber.from(amountValue);
+    if (amount.gt(holding.balance)) throw new Error(`You only hold ${holding.balance.toString()} credits`);
+
+    let pricePerCredit;
+    try {
+        pricePerCredit = ethers.utils.parseEther(priceValue);
+    } catch (err) {
+        throw new Error('Price must be an ETH amount, e.g. 0.01');
+    }
+    if (pricePerCredit.lte(0)) throw new Error('Price must be greater than 0');
+
+    return { amount, pricePerCredit };
+}
+
+export async function submitSellListing() {
+    if (!walletConnected) {
+        showToast('Error', 'Please connect wallet first');
+        return;
+    }
+
+    const states = {};
+    SELL_STEPS.forEach(step => { states[step.key] = { status: 'pending', detail: '' }; });
+    const setStep = (key, status, detail = '') => {
+        states[key] = { status, detail };
+        renderSteps('sellSteps', SELL_STEPS, states);
+    };
+
+    const button = document.getElementById('sellSubmit');
+    button.disabled = true;
+    let current = 'validate';
+
+    try {
+        setStep('validate', 'active');
+        const holding = selectedSellHolding();
+        const { amount, pricePerCredit } = validateSellForm(holding);
+        setStep('validate', 'done', `${amount.toString()} credits @ ${ethers.utils.formatEther(pricePerCredit)} ETH`);
+
+        current = 'approval';
+        setStep('approval', 'active', 'Checking operator approval...');
+        const approved = await contracts.CarbonCredit.isApprovedForAll(userAddress, CONFIG.CONTRACTS.Marketplace);
+
+        if (approved) {
+            setStep('approval', 'skipped', 'Marketplace already approved');
+        } else {
+            setStep('approval', 'active', 'Confirm setApprovalForAll in your wallet');
+            await sendTransaction(
+                'Approving Marketplace as operator',
+                contracts.CarbonCredit,
+                'setApprovalForAll',
+                [CONFIG.CONTRACTS.Marketplace, true],
+                { onSent: tx => setStep('approval', 'active', `Waiting for confirmation ${tx.hash.slice(0, 10)}...`) }
+            );
+            setStep('approval', 'done', 'Marketplace approved as operator');
+        }
+
+        current = 'listing';
+        setStep('listing', 'active', 'Confirm createListing in your wallet');
+        const receipt = await sendTransaction(
+            `Listing ${amount.toString()} credits of token #${holding.tokenId}`,
+            contracts.Marketplace,
+            'createListing',
+            [holding.tokenId, amount, pricePerCredit],
+            { onSent: tx => setStep('listing', 'active', `Waiting for confirmation ${tx.hash.slice(0, 10)}...`) }
+        );
+        setStep('listing', 'done', `TX: ${receipt.transactionHash.slice(0, 10)}...`);
+
+        document.getElementById('sellAmount').value = '';
+        document.getElementById('sellPrice').value = '';
+
+        showToast('Success', 'Credits listed on the market');
+        loadContractData();
+    } catch (err) {
+        console.error(err);
+        setStep(current, 'error', decodeTransactionError(err));
+    } finally {
+        button.disabled = false;
+    }
+}
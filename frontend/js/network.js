@@ -0,0 +1,158 @@
+// Network Selection & Deployments
+
+import { ABIS } from './abis.generated.js';
+import { BROADCAST, CONFIG, DEFAULT_CHAIN_ID, NETWORKS } from './config.js';
+import { html, setHtml } from './dom.js';
+import { connectReadOnly, walletConnected } from './web3.js';
+import { creditTypeCache } from './credits.js';
+import { showToast } from './ui.js';
+
+const NETWORK_STORAGE_KEY = 'vericarbon-network';
+
+export let selectedChainId = null;
+const broadcastDeployments = {};
+
+function preferredChainId() {
+    const stored = Number(localStorage.getItem(NETWORK_STORAGE_KEY));
+    return NETWORKS[stored] ? stored : DEFAULT_CHAIN_ID;
+}
+
+// Addresses and deployment blocks of the contracts created by the broadcast runs
+async function loadBroadcastDeployments(chainId) {
+    if (broadcastDeployments[chainId]) return broadcastDeployments[chainId];
+
+    const addresses = {};
+    const blocks = {};
+    const runs = await Promise.all(BROADCAST.scripts.map(async script => {
+        try {
+            const response = await fetch(`${BROADCAST.baseUrl}/${script}/${chainId}/run-latest.json`);
+            return response.ok ? await response.json() : null;
+        } catch (err) {
+            return null;
+        }
+    }));
+
+    // Scripts are applied in config order, so a later deployment of the same contract wins
+    runs.filter(Boolean).forEach(run => {
+        run.transactions
+            .filter(tx => tx.transactionType === 'CREATE' && ABIS[tx.contractName])
+            .forEach(tx => {
+                const receipt = (run.receipts || []).find(r => r.transactionHash === tx.hash);
+                addresses[tx.contractName] = ethers.utils.getAddress(tx.contractAddress);
+                blocks[tx.contractName] = receipt ? Number(receipt.blockNumber) : null;
+            });
+    });
+
+    broadcastDeployments[chainId] = { addresses, blocks };
+    return broadcastDeployments[chainId];
+}
+
+export async function selectNetwork(chainId) {
+    const network = NETWORKS[chainId];
+    if (!network) {
+        throw new Error(`Unsupported network (chain ID ${chainId})`);
+    }
+
+    const broadcast = await loadBroadcastDeployments(chainId);
+    const addresses = { ...network.contracts, ...broadcast.addresses };
+    const missing = Object.keys(ABIS).filter(name => !addresses[name]);
+    if (missing.length > 0) {
+        throw new Error(`No ${missing.join(', ')} deployment found for ${network.chainName}`);
+    }
+
+    if (selectedChainId !== chainId) {
+        // Token IDs are per deployment, so cached credit types don't carry over
+        Object.keys(creditTypeCache).forEach(key => delete creditTypeCache[key]);
+    }
+
+    selectedChainId = chainId;
+    CONFIG.NETWORK = network;
+    CONFIG.CONTRACTS = addresses;
+    // Broadcast receipts give each contract's own block; otherwise the network's is used
+    CONFIG.DEPLOYMENT_BLOCKS = Object.fromEntries(Object.keys(addresses).map(name =>
+        [name, broadcast.blocks[name] ?? network.deploymentBlock ?? null]
+    ));
+    localStorage.setItem(NETWORK_STORAGE_KEY, chainId);
+
+    renderNetworkInfo();
+}
+
+export async function initNetworks() {
+    setHtml(document.getElementById('networkSelect'), Object.entries(NETWORKS).map(([chainId, network]) =>
+        html`<option value="${chainId}">${network.chainName}</option>`
+    ));
+
+    try {
+        await selectNetwork(preferredChainId());
+    } catch (err) {
+        console.warn(err.message);
+        await selectNetwork(DEFAULT_CHAIN_ID);
+    }
+}
+
+export async function switchWalletNetwork(chainId) {
+    const network = NETWORKS[chainId];
+
+    try {
+        await window.ethereum.request({
+            method: 'wallet_switchEthereumChain',
+            params: [{ chainId: network.chainId }],
+        });
+    } catch (err) {
+        // 4902: the wallet doesn't know this chain yet, so offer to add it
+        if (err.code !== 4902) {
+            showToast('Error', `Please switch to ${network.chainName} in your wallet`);
+            throw err;
+        }
+
+        await window.ethereum.request({
+            method: 'wallet_addEthereumChain',
+            params: [{
+                chainId: network.chainId,
+                chainName: network.chainName,
+                rpcUrls: [network.rpcUrl],
+                nativeCurrency: network.nativeCurrency,
+                blockExplorerUrls: network.blockExplorer ? [network.blockExplorer] : null
+            }],
+        });
+    }
+}
+
+export async function changeNetwork(value) {
+    const chainId = Number(value);
+
+    try {
+        if (walletConnected) {
+            // handleChainChanged picks up the new deployment once the wallet has switched
+            await switchWalletNetwork(chainId);
+        } else {
+            await selectNetwork(chainId);
+            await connectReadOnly();
+        }
+    } catch (err) {
+        console.error(err);
+        showToast('Error', err.message.slice(0, 100));
+        renderNetworkInfo();
+    }
+}
+
+export function explorerUrl(type, value) {
+    return CONFIG.NETWORK.blockExplorer ? `${CONFIG.NETWORK.blockExplorer}/${type}/${value}` : null;
+}
+
+function renderNetworkInfo() {
+    document.getElementById('networkSelect').value = selectedChainId;
+    document.getElementById('networkBadge').textContent = CONFIG.NETWORK.chainName;
+
+    Object.entries(CONFIG.CONTRACTS).forEach(([name, address]) => {
+        const link = document.getElementById(`address${name}`);
+        const url = explorerUrl('address', address);
+
+        link.textContent = `${address.slice(0, 6)}...${address.slice(-4)}`;
+        if (url) {
+            link.href = url;
+        } else {
+            link.removeAttribute('href');
+        }
+    });
+}
@@ -0,0 +1,132 @@
+// Project Owner Console
+
+import { PROJECT_STATUSES, PROJECT_TYPES, ROLES } from './config.js';
+import { html, setHtml } from './dom.js';
+import { contracts, loadContractData, userAddress, walletConnected } from './web3.js';
+import { getIndexedEvents, getIndexedProjects } from './indexer.js';
+import { decodeTransactionError, sendTransaction } from './transactions.js';
+import { showToast } from './ui.js';
+
+let hasProjectRole = false;
+
+export async function loadOwnerConsole() {
+    if (!walletConnected) return;
+
+    const container = document.getElementById('myProjects');
+
+    try {
+        const projects = getIndexedProjects().filter(project =>
+            project.projectOwner.toLowerCase() === userAddress.toLowerCase()
+        );
+        hasProjectRole = await contracts.CarbonCredit.hasRole(ROLES.PROJECT, userAddress);
+
+        if (projects.length === 0) {
+            container.innerHTML = '<div class="col-span-full text-center py-8 text-gray-500 text-sm">You have not registered any projects yet</div>';
+            return;
+        }
+
+        const mintedTypes = loadMintedCreditTypes();
+
+        setHtml(container, projects.map(project =>
+            renderOwnerProject(project, project.status === 1, mintedTokensFor(project, mintedTypes))
+        ));
+    } catch (err) {
+        console.error('Error loading owner console:', err);
+        container.innerHTML = '<div class="col-span-full text-center py-8 text-red-400 text-sm">Failed to load your projects</div>';
+    }
+}
+
+function loadMintedCreditTypes() {
+    return getIndexedEvents('CarbonCredit', 'CreditTypeMinted').map(event => ({
+        tokenId: event.args.tokenId.toString(),
+        projectName: event.args.projectName,
+        location: event.args.location,
+        amount: event.args.amount
+    }));
+}
+
+// CarbonCredit does not reference ProjectRegistry, so credit types are
+// linked to a project by the name and location they were minted with.
+export function mintedTokensFor(project, mintedTypes) {
+    return mintedTypes.filter(minted =>
+        minted.projectName === project.projectName && minted.location === project.location
+    );
+}
+
+function renderOwnerProject(project, isApproved, mintedTokens) {
+    const id = project.projectId.toString();
+    const tokens = mintedTokens.length === 0
+        ? html`<span class="text-gray-500">None minted yet</span>`
+        : mintedTokens.map(minted => html`
+            <span class="px-2 py-1 rounded bg-emerald-500/10 border border-emerald-500/30 text-emerald-400">#${minted.tokenId} • ${minted.amount.toString()} tCO₂</span>
+        `);
+
+    let mintPanel;
+    if (!isApproved) {
+        mintPanel = html`<div class="text-xs text-gray-500">Minting opens once the project is approved (currently ${PROJECT_STATUSES[project.status]})</div>`;
+    } else if (!hasProjectRole) {
+        mintPanel = html`<div class="text-xs text-yellow-400">Your account needs PROJECT_ROLE on CarbonCredit to mint</div>`;
+    } else {
+        mintPanel = html`
+            <div class="grid grid-cols-2 gap-2 text-xs">
+                <input type="text" value="${project.projectName}" readonly class="px-3 py-2 rounded-lg bg-black/50 border border-emerald-500/10 text-gray-400">
+                <input type="text" value="${project.location}" readonly class="px-3 py-2 rounded-lg bg-black/50 border border-emerald-500/10 text-gray-400">
+                <input type="text" value="${PROJECT_TYPES[project.projectType]}" readonly class="px-3 py-2 rounded-lg bg-black/50 border border-emerald-500/10 text-gray-400">
+                <input type="number" id="mintSupply-${id}" min="1" placeholder="Supply (tCO₂)"
+                    class="px-3 py-2 rounded-lg bg-black/30 border border-emerald-500/20 focus:border-emerald-500 outline-none transition-all text-white placeholder-gray-600">
+            </div>
+            <button onclick="mintProjectCredits(${id})" class="btn-primary w-full mt-2 px-4 py-2 rounded-full font-semibold text-sm text-black">Mint Credit Type</button>
+        `;
+    }
+
+    return html`
+        <div class="p-5 rounded-xl bg-black/30 border border-emerald-500/10 space-y-3">
+            <div class="flex justify-between items-start">
+                <div>
+                    <div class="font-medium">${project.projectName} <span class="text-gray-500 font-mono text-xs">#${id}</span></div>
+                    <div class="text-xs text-gray-500">${project.location} • ${PROJECT_TYPES[project.projectType]}</div>
+                </div>
+                <span class="px-2 py-1 rounded-full text-xs font-mono border ${isApproved ? 'bg-emerald-500/20 border-emerald-500/30 text-emerald-400' : 'bg-gray-500/20 border-gray-500/30 text-gray-400'}">${PROJECT_STATUSES[project.status]}</span>
+            </div>
+            <div class="flex flex-wrap gap-2 text-xs font-mono" id="mintedTokens-${id}">${tokens}</div>
+            ${mintPanel}
+        </div>
+    `;
+}
+
+export async function mintProjectCredits(projectId) {
+    if (!walletConnected) {
+        showToast('Error', 'Please connect wallet first');
+        return;
+    }
+
+    const supply = document.getElementById(`mintSupply-${projectId}`).value;
+    if (!/^\d+$/.test(supply) || Number(supply) === 0) {
+        showToast('Error', 'Supply must be a whole number of credits');
+        return;
+    }
+
+    try {
+        const project = await contracts.ProjectRegistry.getProjectInfo(projectId);
+        if (!(await contracts.ProjectRegistry.isProjectApproved(projectId))) {
+            showToast('Error', 'Project is not approved');
+            return;
+        }
+
+        const receipt = await sendTransaction(`Minting ${supply} credits for ${project.projectName}`, contracts.CarbonCredit, 'mintCreditType', [
+            project.projectName,
+            project.location,
+            PROJECT_TYPES[project.projectType],
+            supply
+        ]);
+
+        const minted = receipt.events.find(event => event.event === 'CreditTypeMinted');
+        const tokenId = minted.args.tokenId.toString();
+
+        showToast('Success', `Credit type #${tokenId} minted! TX: ${receipt.transactionHash.slice(0, 10)}...`);
+        loadContractData();
+    } catch (err) {
+        console.error(err);
+        showToast('Error', decodeTransactionError(err));
+    }
+}
@@ -0,0 +1,133 @@
+// Wallet Portfolio
+
+import { html, setHtml } from './dom.js';
+import { contracts, userAddress, walletConnected } from './web3.js';
+import { getIndexedEvents } from './indexer.js';
+import { loadCreditTypes } from './credits.js';
+import { getActiveListings } from './marketplace.js';
+
+function findCandidateTokenIds(account) {
+    const isRecipient = event => event.args.to.toLowerCase() === account.toLowerCase();
+
+    const metadata = {};
+    getIndexedEvents('CarbonCredit', 'CreditTypeMinted').forEach(event => {
+        metadata[event.args.tokenId.toString()] = event.args;
+    });
+
+    const received = new Set();
+    getIndexedEvents('CarbonCredit', 'TransferSingle').filter(isRecipient)
+        .forEach(event => received.add(event.args.id.toString()));
+    getIndexedEvents('CarbonCredit', 'TransferBatch').filter(isRecipient)
+        .forEach(event => event.args.ids.forEach(id => received.add(id.toString())));
+
+    return {
+        ids: [...received].filter(id => metadata[id]).sort((a, b) => a - b),
+        metadata
+    };
+}
+
+function lowestPricesByToken(listings) {
+    const lowest = {};
+    listings.forEach(listing => {
+        const key = listing.tokenId.toString();
+        if (!lowest[key] || listing.pricePerCredit.lt(lowest[key])) {
+            lowest[key] = listing.pricePerCredit;
+        }
+    });
+    return lowest;
+}
+
+export async function loadPortfolio() {
+    if (!walletConnected) return;
+
+    const container = document.getElementById('portfolioHoldings');
+
+    try {
+        const { ids, metadata } = findCandidateTokenIds(userAddress);
+        const retirements = getIndexedEvents('CarbonCredit', 'CreditRetired').filter(event =>
+            event.args.retiree.toLowerCase() === userAddress.toLowerCase()
+        );
+        const creditTypes = loadCreditTypes();
+
+        const balances = ids.length
+            ? await contracts.CarbonCredit.balanceOfBatch(ids.map(() => userAddress), ids)
+            : [];
+
+        const retiredByToken = {};
+        retirements.forEach(event => {
+            const key = event.args.tokenId.toString();
+            retiredByToken[key] = (retiredByToken[key] || ethers.constants.Zero).add(event.args.amount);
+        });
+
+        const lowestPrices = lowestPricesByToken(getActiveListings());
+
+        const holdings = ids.map((tokenId, i) => ({
+            tokenId,
+            balance: balances[i],
+            retired: retiredByToken[tokenId] || ethers.constants.Zero,
+            isVerified: creditTypes[tokenId].isVerified,
+            lowestPrice: lowestPrices[tokenId] || null,
+            metadata: metadata[tokenId]
+        })).filter(holding => !holding.balance.isZero() || !holding.retired.isZero());
+
+        renderPortfolioTotals(holdings);
+        renderPortfolioHoldings(holdings);
+    } catch (err) {
+        console.error('Error loading portfolio:', err);
+        container.innerHTML = '<tr><td colspan="7" class="text-center py-8 text-red-400">Failed to load portfolio</td></tr>';
+    }
+}
+
+function renderPortfolioTotals(holdings) {
+    const zero = ethers.constants.Zero;
+    const held = holdings.reduce((sum, holding) => sum.add(holding.balance), zero);
+    const retired = holdings.reduce((sum, holding) => sum.add(holding.retired), zero);
+    const value = holdings.reduce((sum, holding) =>
+        holding.lowestPrice ? sum.add(holding.lowestPrice.mul(holding.balance)) : sum, zero);
+
+    document.getElementById('portfolioHeld').textContent = held.toString();
+    document.getElementById('portfolioRetired').textContent = retired.toString();
+    document.getElementById('portfolioValue').textContent = `${ethers.utils.formatEther(value)} ETH`;
+}
+
+function renderPortfolioHoldings(holdings) {
+    const container = document.getElementById('portfolioHoldings');
+
+    if (holdings.length === 0) {
+        container.innerHTML = '<tr><td colspan="7" class="text-center py-8 text-gray-500">This wallet holds no carbon credits</td></tr>';
+        return;
+    }
+
+    setHtml(container, holdings.map(holding => {
+        const { tokenId, balance, retired, isVerified, lowestPrice, metadata } = holding;
+        const value = lowestPrice ? `${ethers.utils.formatEther(lowestPrice.mul(balance))} ETH` : '--';
+
+        let retireCell = '';
+        if (!balance.isZero() && isVerified) {
+            retireCell = html`
+                <div class="flex gap-2 justify-end">
+                    <input type="number" id="retireAmount-${tokenId}" min="1" max="${balance.toString()}" placeholder="Amount"
+                        class="w-24 px-2 py-1 rounded-lg bg-black/30 border border-emerald-500/20 focus:border-emerald-500 outline-none transition-all text-white placeholder-gray-600 text-xs">
+                    <button onclick="retireHolding(${tokenId})" class="btn-primary px-3 py-1 rounded-lg font-semibold text-xs text-black">Retire</button>
+                </div>
+            `;
+        }
+
+        return html`
+            <tr class="border-t border-emerald-500/10">
+                <td class="py-3">
+                    <div class="font-medium">${metadata.projectName} <span class="text-gray-500 font-mono text-xs">#${tokenId}</span></div>
+                    <div class="text-xs text-gray-500">${metadata.location} • ${metadata.creditCategory}</div>
+                </td>
+                <td class="py-3">${isVerified
+                    ? html`<span class="text-xs font-mono text-emerald-400">Verified</span>`
+                    : html`<span class="text-xs font-mono text-yellow-400">Unverified</span>`}</td>
+                <td class="py-3 text-emerald-400 font-semibold">${balance.toString()}</td>
+                <td class="py-3 text-gray-400">${retired.toString()}</td>
+                <td class="py-3 font-mono text-xs">${lowestPrice ? `${ethers.utils.formatEther(lowestPrice)} ETH` : 'Not listed'}</td>
+                <td class="py-3 font-mono text-xs">${value}</td>
+                <td class="py-3">${retireCell}</td>
+            </tr>
+        `;
+    }));
+}
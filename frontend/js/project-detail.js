@@ -0,0 +1,360 @@
+// Project Detail View (#/project/<id>)
+
+import { CONFIG, IPFS, PROJECT_STATUSES, PROJECT_TYPES } from './config.js';
+import { html, safeUrl, setHtml } from './dom.js';
+import { explorerUrl } from './network.js';
+import { contractsReady } from './web3.js';
+import { getBlockTimestamp, getIndexedEvents, getIndexedListings, indexedBlocks, indexedProjects, indexerScopes } from './indexer.js';
+import { isUserAddress } from './live-updates.js';
+import { loadCreditTypes } from './credits.js';
+import { mintedTokensFor } from './owner-console.js';
+import { formatAddress, formatTimestamp, showToast, switchTab } from './ui.js';
+
+const PROJECT_ROUTE = /^#\/project\/(\d+)$/;
+const IPFS_GATEWAY_STORAGE_KEY = 'vericarbon-ipfs-gateway';
+const DOCUMENT_PREVIEW_MAX_BYTES = 2 * 1024 * 1024;
+const PROJECT_STATUS_COLORS = ['gray', 'emerald', 'red', 'blue', 'yellow'];
+
+// CIDv0 (base58 "Qm...") or CIDv1 (base32 "b..."), optionally followed by a path
+const IPFS_PATH = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})(\/\S*)?$/;
+
+let routedProjectId = null;
+let documentPreview = { url: null, markup: null, objectUrl: null };
+
+// Routing
+
+export function handleRoute() {
+    const match = PROJECT_ROUTE.exec(window.location.hash);
+
+    if (match) {
+        routedProjectId = match[1];
+        switchTab('project');
+        window.scrollTo(0, 0);
+        renderProjectDetail();
+    } else if (routedProjectId !== null) {
+        routedProjectId = null;
+        switchTab('marketplace');
+    }
+}
+
+export function leaveProjectRoute() {
+    if (!PROJECT_ROUTE.test(window.location.hash)) return;
+
+    routedProjectId = null;
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+}
+
+// IPFS documents
+
+export function ipfsGateway() {
+    return localStorage.getItem(IPFS_GATEWAY_STORAGE_KEY) || IPFS.gateway;
+}
+
+export function updateIpfsGateway(value) {
+    const gateway = value.trim();
+
+    if (!gateway) {
+        localStorage.removeItem(IPFS_GATEWAY_STORAGE_KEY);
+    } else if (!safeUrl(gateway)) {
+        showToast('Error', 'Gateway must be an http(s) URL');
+        return;
+    } else {
+        localStorage.setItem(IPFS_GATEWAY_STORAGE_KEY, gateway.endsWith('/') ? gateway : `${gateway}/`);
+    }
+
+    renderProjectDetail();
+}
+
+// Returns a browser-openable URL for ipfs://, bare CID and http(s) references
+export function resolveDocumentUrl(uri) {
+    const value = (uri || '').trim();
+    const ipfs = /^ipfs:\/\/(?:ipfs\/)?(.*)$/i.exec(value);
+    const path = ipfs ? ipfs[1] : value;
+
+    if (IPFS_PATH.test(path)) return safeUrl(`${ipfsGateway()}${path}`);
+    return ipfs ? null : safeUrl(value);
+}
+
+async function previewDocument(url) {
+    const container = document.getElementById('projectDocumentPreview');
+    if (documentPreview.url === url) {
+        if (documentPreview.markup) setHtml(container, documentPreview.markup);
+        return;
+    }
+
+    if (documentPreview.objectUrl) URL.revokeObjectURL(documentPreview.objectUrl);
+    documentPreview = { url, markup: null, objectUrl: null };
+
+    if (!url) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = '<div class="text-center py-8 text-gray-500 text-sm">Loading document preview...</div>';
+
+    // An unreachable gateway or an unpinned CID is expected, so only other failures are logged
+    const response = await fetch(url).catch(() => null);
+    const unavailable = html`<div class="text-center py-8 text-red-400 text-sm">Could not load the document from the gateway</div>`;
+
+    let preview;
+    if (!response || !response.ok) {
+        preview = unavailable;
+    } else {
+        try {
+            const size = Number(response.headers.get('content-length'));
+            const type = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+
+            if (size > DOCUMENT_PREVIEW_MAX_BYTES) {
+                preview = html`<div class="text-center py-8 text-gray-500 text-sm">Document is too large to preview</div>`;
+            } else if (type.startsWith('image/')) {
+                const objectUrl = URL.createObjectURL(await response.blob());
+                if (documentPreview.url === url) documentPreview.objectUrl = objectUrl;
+                preview = html`<img src="${objectUrl}" alt="Verification document" class="max-h-96 mx-auto rounded-xl border border-emerald-500/20">`;
+            } else {
+                // Gateways often serve JSON as text/plain, so try parsing whatever came back
+                const text = await response.text();
+                try {
+                    const json = JSON.stringify(JSON.parse(text), null, 2);
+                    preview = html`<pre class="max-h-96 overflow-auto p-4 rounded-xl bg-black/30 border border-emerald-500/10 text-xs font-mono text-gray-300">${json}</pre>`;
+                } catch (err) {
+                    preview = html`<div class="text-center py-8 text-gray-500 text-sm">No preview for ${type || 'this document type'}</div>`;
+                }
+            }
+        } catch (err) {
+            console.error('Error loading verification document:', err);
+            preview = unavailable;
+        }
+    }
+
+    // Another project may have been opened while this one was loading
+    if (documentPreview.url !== url) return;
+    documentPreview.markup = preview;
+    setHtml(container, preview);
+}
+
+// Data
+
+function projectTimeline(projectId) {
+    const entries = {};
+
+    indexerScopes.ProjectRegistry.logs
+        .filter(log => log.args.projectId && log.args.projectId.toString() === projectId)
+        .forEach(log => {
+            // approve/reject emit a status change and a detail event in the same transaction
+            const entry = entries[log.transactionHash] || (entries[log.transactionHash] = {
+                blockNumber: log.blockNumber,
+                transactionHash: log.transactionHash
+            });
+
+            if (log.event === 'ProjectRegistered') {
+                entry.title = 'Registered';
+                entry.status = 0;
+                entry.actor = log.args.projectOwner;
+            } else if (log.event === 'ProjectStatusChanged') {
+                entry.title = `${PROJECT_STATUSES[log.args.oldStatus]} → ${PROJECT_STATUSES[log.args.newStatus]}`;
+                entry.status = log.args.newStatus;
+                entry.actor = log.args.changedBy;
+            } else if (log.event === 'ProjectRejected') {
+                entry.reason = log.args.reason;
+            }
+        });
+
+    return Object.values(entries);
+}
+
+function projectRetirements(tokenIds) {
+    return getIndexedEvents('CarbonCredit', 'CreditRetired')
+        .filter(log => tokenIds.includes(log.args.tokenId.toString()))
+        .reverse();
+}
+
+// Rendering
+
+export function addressLink(address) {
+    const url = explorerUrl('address', address);
+    const label = isUserAddress(address) ? 'You' : formatAddress(address);
+    return url
+        ? html`<a href="${url}" target="_blank" rel="noopener" class="font-mono text-xs text-emerald-400 hover:underline">${label}</a>`
+        : html`<span class="font-mono text-xs text-gray-400">${label}</span>`;
+}
+
+export function txLink(hash) {
+    const url = explorerUrl('tx', hash);
+    const label = `${hash.slice(0, 10)}...`;
+    return url
+        ? html`<a href="${url}" target="_blank" rel="noopener" class="font-mono text-xs text-emerald-400 hover:underline">${label}</a>`
+        : html`<span class="font-mono text-xs text-gray-400">${label}</span>`;
+}
+
+export async function renderProjectDetail() {
+    if (routedProjectId === null) return;
+
+    const header = document.getElementById('projectDetailHeader');
+    if (!contractsReady()) {
+        header.innerHTML = '<div class="text-center py-8 text-gray-500 text-sm">Loading project...</div>';
+        return;
+    }
+
+    const project = indexedProjects[routedProjectId];
+    if (!project) {
+        setHtml(header, html`<div class="text-center py-8 text-gray-500 text-sm">Project #${routedProjectId} is not registered on ${CONFIG.NETWORK.chainName}</div>`);
+        ['projectDetailMeta', 'projectTimeline', 'projectDocument', 'projectDocumentPreview'].forEach(id => { document.getElementById(id).innerHTML = ''; });
+        ['projectCreditTypes', 'projectListings', 'projectRetirements'].forEach(id => { document.getElementById(id).innerHTML = ''; });
+        return;
+    }
+
+    try {
+        const timeline = projectTimeline(routedProjectId);
+        const minted = mintedTokensFor(project, Object.values(loadCreditTypes()));
+        const tokenIds = minted.map(creditType => creditType.tokenId.toString());
+        const retirements = projectRetirements(tokenIds);
+
+        await Promise.all([...timeline, ...retirements].map(entry => getBlockTimestamp(entry.blockNumber)));
+
+        renderProjectHeader(project);
+        renderProjectMeta(project);
+        renderProjectTimeline(timeline);
+        renderProjectCreditTypes(minted, retirements);
+        renderProjectListings(tokenIds);
+        renderProjectRetirements(retirements);
+        renderProjectDocument(project);
+    } catch (err) {
+        console.error('Error loading project detail:', err);
+        header.innerHTML = '<div class="text-center py-8 text-red-400 text-sm">Failed to load project</div>';
+    }
+}
+
+export function renderProjectHeader(project) {
+    const color = PROJECT_STATUS_COLORS[project.status];
+
+    setHtml(document.getElementById('projectDetailHeader'), html`
+        <div class="flex flex-wrap items-center gap-3 mb-2">
+            <span class="px-2 py-1 rounded bg-black/50 text-xs font-medium text-emerald-400 border border-emerald-500/30">Node #${project.projectId.toString()}</span>
+            <span class="px-2 py-1 rounded-full bg-${color}-500/20 border border-${color}-500/30 text-xs text-${color}-400 font-mono">${PROJECT_STATUSES[project.status]}</span>
+        </div>
+        <h2 class="font-display text-3xl font-bold">${project.projectName}</h2>
+        <p class="text-gray-500 mt-2">${project.location} • ${PROJECT_TYPES[project.projectType]}</p>
+    `);
+}
+
+export function renderProjectMeta(project) {
+    const approvalDate = project.approvalDate.isZero() ? 'Not approved' : formatTimestamp(project.approvalDate.toNumber());
+    const row = (label, value) => html`
+        <div class="flex justify-between gap-4 text-sm">
+            <span class="text-gray-500">${label}</span>
+            <span class="text-right">${value}</span>
+        </div>
+    `;
+
+    setHtml(document.getElementById('projectDetailMeta'), html`
+        <div class="space-y-3">
+            ${row('Owner', addressLink(project.projectOwner))}
+            ${row('Project Type', PROJECT_TYPES[project.projectType])}
+            ${row('Est. Annual Output', html`<span class="text-emerald-400 font-semibold">${project.estimatedAnnualCredits.toString()} tCO₂</span>`)}
+            ${row('Registered', html`<span class="text-gray-400">${formatTimestamp(project.registrationDate.toNumber())}</span>`)}
+            ${row('Approved', html`<span class="text-gray-400">${approvalDate}</span>`)}
+        </div>
+        <div class="mt-6 pt-4 border-t border-emerald-500/10">
+            <div class="text-xs text-gray-500 mb-2">Description</div>
+            <p class="text-sm text-gray-300 whitespace-pre-line break-words">${project.description || html`<span class="text-gray-500">No description provided</span>`}</p>
+        </div>
+    `);
+}
+
+export function renderProjectTimeline(timeline) {
+    setHtml(document.getElementById('projectTimeline'), timeline.length === 0
+        ? html`<div class="text-center py-8 text-gray-500 text-sm">No status events indexed yet</div>`
+        : timeline.map(entry => {
+            const color = PROJECT_STATUS_COLORS[entry.status];
+            return html`
+                <div class="relative pl-6 pb-6 border-l border-emerald-500/20 last:pb-0">
+                    <span class="absolute -left-1.5 top-1 w-3 h-3 rounded-full bg-${color}-400"></span>
+                    <div class="flex flex-wrap justify-between gap-2">
+                        <span class="font-medium text-${color}-400">${entry.title}</span>
+                        <span class="text-xs text-gray-500">${formatTimestamp(indexedBlocks[entry.blockNumber])}</span>
+                    </div>
+                    <div class="text-xs text-gray-500 mt-1">By ${addressLink(entry.actor)} • ${txLink(entry.transactionHash)}</div>
+                    ${entry.reason !== undefined ? html`<div class="mt-2 p-3 rounded-lg bg-red-500/10 border border-red-500/20 text-sm text-red-300 break-words">Reason: ${entry.reason || 'None given'}</div>` : ''}
+                </div>
+            `;
+        }));
+}
+
+export function renderProjectCreditTypes(minted, retirements) {
+    const container = document.getElementById('projectCreditTypes');
+
+    if (minted.length === 0) {
+        container.innerHTML = '<tr><td colspan="5" class="text-center py-8 text-gray-500">No credit types minted for this project yet</td></tr>';
+        return;
+    }
+
+    setHtml(container, minted.map(creditType => {
+        const tokenId = creditType.tokenId.toString();
+        const retired = retirements
+            .filter(log => log.args.tokenId.toString() === tokenId)
+            .reduce((sum, log) => sum.add(log.args.amount), ethers.constants.Zero);
+
+        return html`
+            <tr class="border-t border-emerald-500/10">
+                <td class="py-3 font-mono text-xs">#${tokenId}</td>
+                <td class="py-3">${creditType.creditCategory}</td>
+                <td class="py-3 text-emerald-400 font-semibold">${creditType.totalSupply.toString()} tCO₂</td>
+                <td class="py-3 text-gray-400">${retired.toString()} tCO₂</td>
+                <td class="py-3">${creditType.isVerified
+                    ? html`<span class="text-xs text-emerald-400 font-mono">Verified</span>`
+                    : html`<span class="text-xs text-yellow-400 font-mono">Unverified</span>`}</td>
+            </tr>
+        `;
+    }));
+}
+
+export function renderProjectListings(tokenIds) {
+    const container = document.getElementById('projectListings');
+    const listings = getIndexedListings().filter(listing => listing.active && tokenIds.includes(listing.tokenId.toString()));
+
+    if (listings.length === 0) {
+        container.innerHTML = '<tr><td colspan="4" class="text-center py-8 text-gray-500">No active listings for this project</td></tr>';
+        return;
+    }
+
+    setHtml(container, listings.map(listing => html`
+        <tr class="border-t border-emerald-500/10">
+            <td class="py-3 font-mono text-xs">#${listing.listingId.toString()} • Token #${listing.tokenId.toString()}</td>
+            <td class="py-3">${addressLink(listing.seller)}</td>
+            <td class="py-3 text-emerald-400 font-semibold">${listing.amount.toString()} tCO₂</td>
+            <td class="py-3 text-gray-400">${ethers.utils.formatEther(listing.pricePerCredit)} ETH</td>
+        </tr>
+    `));
+}
+
+export function renderProjectRetirements(retirements) {
+    const container = document.getElementById('projectRetirements');
+
+    if (retirements.length === 0) {
+        container.innerHTML = '<tr><td colspan="5" class="text-center py-8 text-gray-500">No credits from this project have been retired</td></tr>';
+        return;
+    }
+
+    setHtml(container, retirements.map(log => html`
+        <tr class="border-t border-emerald-500/10">
+            <td class="py-3 text-gray-400">${formatTimestamp(indexedBlocks[log.blockNumber])}</td>
+            <td class="py-3">${addressLink(log.args.retiree)}</td>
+            <td class="py-3 font-mono text-xs">#${log.args.tokenId.toString()}</td>
+            <td class="py-3 text-emerald-400 font-semibold">${log.args.amount.toString()} tCO₂</td>
+            <td class="py-3">${txLink(log.transactionHash)}</td>
+        </tr>
+    `));
+}
+
+export function renderProjectDocument(project) {
+    const uri = project.verificationDocuments;
+    const url = resolveDocumentUrl(uri);
+
+    document.getElementById('ipfsGateway').value = ipfsGateway();
+    setHtml(document.getElementById('projectDocument'), url
+        ? html`<a href="${url}" target="_blank" rel="noopener" class="font-mono text-xs text-emerald-400 hover:underline break-all">${uri}</a>`
+        : html`<span class="font-mono text-xs text-gray-400 break-all">${uri || 'None provided'}</span>
+           ${uri ? html`<div class="text-xs text-yellow-400 mt-1">Not an IPFS CID or http(s) link, so it cannot be opened</div>` : ''}`);
+
+    previewDocument(url);
+}
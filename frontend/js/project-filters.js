@@ -0,0 +1,95 @@
+// Project Search, Filters & Sorting
+//
+// Filter state is kept in the query string (?q=...&status=...) so a filtered
+// grid can be shared; the #/project/<id> route lives in the hash alongside it.
+
+import { PROJECT_STATUSES, PROJECT_TYPES } from './config.js';
+import { loadProjects } from './projects.js';
+
+const PROJECT_SORTS = {
+    'registered-asc': (a, b) => compareBigNumbers(a.registrationDate, b.registrationDate),
+    'registered-desc': (a, b) => compareBigNumbers(b.registrationDate, a.registrationDate),
+    // Projects that were never approved go last in either direction
+    'approved-desc': (a, b) => compareApprovalDates(a, b, -1),
+    'approved-asc': (a, b) => compareApprovalDates(a, b, 1),
+    'credits-desc': (a, b) => compareBigNumbers(b.estimatedAnnualCredits, a.estimatedAnnualCredits),
+    'credits-asc': (a, b) => compareBigNumbers(a.estimatedAnnualCredits, b.estimatedAnnualCredits)
+};
+
+const DEFAULT_PROJECT_SORT = 'registered-asc';
+
+const PROJECT_FILTER_INPUTS = {
+    q: 'projectSearch',
+    status: 'projectStatusFilter',
+    type: 'projectTypeFilter',
+    owner: 'projectOwnerFilter',
+    minCredits: 'projectMinCredits',
+    sort: 'projectSort'
+};
+
+export function compareBigNumbers(a, b) {
+    if (a.eq(b)) return 0;
+    return a.lt(b) ? -1 : 1;
+}
+
+function compareApprovalDates(a, b, direction) {
+    if (a.approvalDate.isZero() !== b.approvalDate.isZero()) return a.approvalDate.isZero() ? 1 : -1;
+    return direction * compareBigNumbers(a.approvalDate, b.approvalDate);
+}
+
+export function readProjectFilters() {
+    const params = new URLSearchParams(window.location.search);
+    const filters = {};
+
+    Object.keys(PROJECT_FILTER_INPUTS).forEach(key => { filters[key] = (params.get(key) || '').trim(); });
+
+    // Drop values a hand-edited URL could carry that the controls can't show
+    if (filters.status && !PROJECT_STATUSES[filters.status]) filters.status = '';
+    if (filters.type && !PROJECT_TYPES[filters.type]) filters.type = '';
+    if (filters.minCredits && !/^\d+$/.test(filters.minCredits)) filters.minCredits = '';
+    if (!PROJECT_SORTS[filters.sort]) filters.sort = DEFAULT_PROJECT_SORT;
+
+    return filters;
+}
+
+export function initProjectFilters() {
+    const filters = readProjectFilters();
+    Object.entries(PROJECT_FILTER_INPUTS).forEach(([key, id]) => {
+        document.getElementById(id).value = filters[key];
+    });
+}
+
+export function updateProjectFilters() {
+    const params = new URLSearchParams();
+
+    Object.entries(PROJECT_FILTER_INPUTS).forEach(([key, id]) => {
+        const value = document.getElementById(id).value.trim();
+        if (value && !(key === 'sort' && value === DEFAULT_PROJECT_SORT)) params.set(key, value);
+    });
+
+    const query = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    loadProjects();
+}
+
+export function clearProjectFilters() {
+    Object.entries(PROJECT_FILTER_INPUTS).forEach(([key, id]) => {
+        document.getElementById(id).value = key === 'sort' ? DEFAULT_PROJECT_SORT : '';
+    });
+    updateProjectFilters();
+}
+
+export function filterProjects(projects, filters) {
+    const search = filters.q.toLowerCase();
+    const owner = filters.owner.toLowerCase();
+
+    return projects
+        .filter(project => !search || [project.projectName, project.location, project.description]
+            .some(text => text.toLowerCase().includes(search)))
+        .filter(project => filters.status === '' || project.status === Number(filters.status))
+        .filter(project => filters.type === '' || project.projectType === Number(filters.type))
+        // Partial addresses match too, so a pasted prefix is enough
+        .filter(project => !owner || project.projectOwner.toLowerCase().includes(owner))
+        .filter(project => !filters.minCredits || project.estimatedAnnualCredits.gte(filters.minCredits))
+        .sort((a, b) => PROJECT_SORTS[filters.sort](a, b) || compareBigNumbers(a.projectId, b.projectId));
+}
@@ -0,0 +1,81 @@
+// Project Grid
+
+import { PROJECT_STATUSES } from './config.js';
+import { html, setHtml } from './dom.js';
+import { contractsReady } from './web3.js';
+import { getIndexedProjects } from './indexer.js';
+import { filterProjects, readProjectFilters } from './project-filters.js';
+import { showToast } from './ui.js';
+
+export async function loadProjects() {
+    if (!contractsReady()) return;
+    
+    try {
+        const allProjects = getIndexedProjects();
+        const projects = filterProjects(allProjects, readProjectFilters());
+        const projectsGrid = document.getElementById('projectsGrid');
+        
+        document.getElementById('activeProjects').textContent = allProjects.length;
+        document.getElementById('projectsCount').textContent = `Showing ${projects.length} of ${allProjects.length}`;
+        
+        if (allProjects.length === 0) {
+            projectsGrid.innerHTML = '<div class="col-span-full text-center py-12 text-gray-500">No energy nodes registered yet</div>';
+            return;
+        }
+        
+        if (projects.length === 0) {
+            projectsGrid.innerHTML = '<div class="col-span-full text-center py-12 text-gray-500">No projects match these filters</div>';
+            return;
+        }
+        
+        setHtml(projectsGrid, html`${projects.map(renderProjectCard)}`);
+    } catch (err) {
+        console.error('Error loading projects:', err);
+        showToast('Error', 'Failed to sync grid data');
+    }
+}
+
+function renderProjectCard(project) {
+    const statusColors = ['gray', 'emerald', 'red', 'blue', 'yellow'];
+
+    return html`
+        <div class="glass-card rounded-2xl overflow-hidden border border-emerald-500/20 hover:border-emerald-500/50 transition-all hover:transform hover:scale-[1.02] group">
+            <div class="h-32 bg-gradient-to-br from-gray-900 to-black relative p-4 overflow-hidden">
+                <div class="absolute inset-0 opacity-30">
+                    <svg class="w-full h-full" viewBox="0 0 200 100" preserveAspectRatio="none">
+                        <path d="M0 50 Q 50 20 100 50 T 200 50" fill="none" stroke="#00ffc8" stroke-width="2" opacity="0.6">
+                            <animate attributeName="d" dur="3s" repeatCount="indefinite" values="M0 50 Q 50 20 100 50 T 200 50;M0 50 Q 50 80 100 50 T 200 50;M0 50 Q 50 20 100 50 T 200 50"/>
+                        </path>
+                    </svg>
+                </div>
+                <div class="absolute top-4 right-4 px-2 py-1 rounded-full bg-${statusColors[project.status]}-500/20 border border-${statusColors[project.status]}-500/30 text-xs text-${statusColors[project.status]}-400 font-mono">
+                    ${PROJECT_STATUSES[project.status]}
+                </div>
+                <div class="absolute bottom-4 left-4 flex items-center space-x-2">
+                    <span class="w-2 h-2 rounded-full bg-emerald-400 animate-pulse"></span>
+                    <span class="px-2 py-1 rounded bg-black/50 text-xs font-medium text-emerald-400 border border-emerald-500/30">Node #${project.projectId.toString()}</span>
+                </div>
+            </div>
+            <div class="p-6">
+                <h3 class="font-display text-lg font-semibold mb-1">${project.projectName}</h3>
+                <p class="text-sm text-gray-500 mb-4">${project.location}</p>
+                
+                <div class="space-y-3 mb-4">
+                    <div class="flex justify-between text-sm">
+                        <span class="text-gray-500">Est. Annual Output</span>
+                        <span class="text-emerald-400 font-semibold">${project.estimatedAnnualCredits.toString()} tCO₂</span>
+                    </div>
+                    <div class="flex justify-between text-sm">
+                        <span class="text-gray-500">Owner</span>
+                        <span class="text-gray-400 font-mono text-xs">${project.projectOwner.slice(0, 6)}...${project.projectOwner.slice(-4)}</span>
+                    </div>
+                </div>
+                
+                <div class="text-xs text-gray-500 pt-4 border-t border-emerald-500/10">
+                    ${project.description.length > 100 ? `${project.description.slice(0, 100)}...` : project.description}
+                </div>
+                <a href="#/project/${project.projectId.toString()}" class="inline-block mt-4 text-xs text-emerald-400 hover:underline">View details →</a>
+            </div>
+        </div>
+    `;
+}
\ No newline at end of file
@@ -0,0 +1,266 @@
+// Project Registration
+//
+// Supporting documents and a structured metadata JSON are pinned to an IPFS
+// node before the project is registered, and the metadata CID becomes the
+// project's verificationDocuments.
+
+import { IPFS, PROJECT_TYPES, SA_PROVINCES } from './config.js';
+import { safeUrl } from './dom.js';
+import { contracts, loadContractData, userAddress, walletConnected } from './web3.js';
+import { decodeTransactionError, sendTransaction } from './transactions.js';
+import { parseProvince, renderSteps, showToast } from './ui.js';
+
+const IPFS_API_STORAGE_KEY = 'vericarbon-ipfs-api';
+export const PROJECT_METADATA_SCHEMA = 'vericarbon-project-metadata/1';
+
+const REGISTER_STEPS = [
+    { key: 'validate', label: 'Validate project details' },
+    { key: 'documents', label: 'Pin supporting documents' },
+    { key: 'metadata', label: 'Pin project metadata' },
+    { key: 'registration', label: 'Register project' }
+];
+
+// [min, max] characters
+const REGISTRATION_LIMITS = {
+    projectName: [3, 100],
+    location: [2, 120],
+    description: [20, 2000],
+    methodology: [2, 200]
+};
+
+const ESTIMATED_CREDITS_RANGE = [1, 10000000];
+const CAPACITY_MW_RANGE = [0.01, 10000];
+
+// Bounding box of mainland South Africa
+export const SA_BOUNDS = { latitude: [-35, -22], longitude: [16, 33] };
+
+const PROJECT_STANDARDS = ['VCS', 'Gold Standard', 'CDM', 'ISO 14064-2'];
+
+const DOCUMENT_EXTENSIONS = ['pdf', 'csv', 'json', 'xlsx', 'png', 'jpg', 'jpeg'];
+const DOCUMENT_MAX_BYTES = 20 * 1024 * 1024;
+const DOCUMENT_MAX_COUNT = 10;
+
+// IPFS node
+
+function ipfsApiUrl() {
+    return localStorage.getItem(IPFS_API_STORAGE_KEY) || IPFS.apiUrl;
+}
+
+export function initRegistrationForm() {
+    document.getElementById('ipfsApiUrl').value = ipfsApiUrl();
+}
+
+export function updateIpfsApiUrl(value) {
+    const apiUrl = value.trim().replace(/\/+$/, '');
+
+    if (!apiUrl) {
+        localStorage.removeItem(IPFS_API_STORAGE_KEY);
+    } else if (!safeUrl(apiUrl)) {
+        showToast('Error', 'IPFS API must be an http(s) URL');
+    } else {
+        localStorage.setItem(IPFS_API_STORAGE_KEY, apiUrl);
+    }
+
+    document.getElementById('ipfsApiUrl').value = ipfsApiUrl();
+}
+
+// Adds one file through Kubo's /api/v0/add and returns its ipfs:// URI
+async function pinToIpfs(content, filename) {
+    const endpoint = `${ipfsApiUrl()}/api/v0/add?pin=true&cid-version=1`;
+    const body = new FormData();
+    body.append('file', content, filename);
+
+    let response;
+    try {
+        response = await fetch(endpoint, { method: 'POST', body });
+    } catch (err) {
+        throw new Error(`IPFS API unreachable at ${ipfsApiUrl()}; is the node running with CORS enabled?`);
+    }
+    if (!response.ok) throw new Error(`IPFS API returned ${response.status} for ${filename}`);
+
+    const { Hash } = await response.json();
+    return `ipfs://${Hash}`;
+}
+
+// Validation
+
+function readRegistrationForm() {
+    const value = id => document.getElementById(id).value.trim();
+
+    return {
+        projectName: value('projectName'),
+        location: value('projectLocation'),
+        province: value('projectProvince'),
+        projectType: value('projectType'),
+        description: value('projectDescription'),
+        estimatedCredits: value('estimatedCredits'),
+        capacityMw: value('projectCapacity'),
+        latitude: value('projectLatitude'),
+        longitude: value('projectLongitude'),
+        methodology: value('projectMethodology'),
+        standards: [...document.querySelectorAll('input[name="projectStandards"]:checked')].map(input => input.value),
+        documents: [...document.getElementById('projectDocuments').files]
+    };
+}
+
+function checkLength(label, value, [min, max]) {
+    if (value.length < min || value.length > max) {
+        throw new Error(`${label} must be ${min}–${max} characters`);
+    }
+}
+
+function checkRange(label, text, [min, max], unit = '') {
+    const number = Number(text);
+    if (text === '' || !Number.isFinite(number) || number < min || number > max) {
+        throw new Error(`${label} must be between ${min} and ${max}${unit}`);
+    }
+    return number;
+}
+
+// Returns the details that are registered and pinned, or throws on the first invalid field
+export function validateRegistration(form) {
+    checkLength('Project name', form.projectName, REGISTRATION_LIMITS.projectName);
+    checkLength('Location', form.location, REGISTRATION_LIMITS.location);
+
+    const province = SA_PROVINCES.find(candidate => candidate.code === form.province);
+    if (!province) throw new Error('Select the South African province the project is in');
+
+    // The location is matched to a province everywhere else, so it must not name a different one
+    const named = parseProvince(form.location);
+    if (named && named.code !== province.code) {
+        throw new Error(`Location is in ${named.name}, but ${province.name} is selected`);
+    }
+
+    if (!PROJECT_TYPES[form.projectType]) throw new Error('Select a project type');
+    checkLength('Description', form.description, REGISTRATION_LIMITS.description);
+
+    if (!/^\d+$/.test(form.estimatedCredits)) throw new Error('Estimated annual output must be a whole number of tCO₂');
+    checkRange('Estimated annual output', form.estimatedCredits, ESTIMATED_CREDITS_RANGE, ' tCO₂');
+
+    const capacityMw = form.capacityMw ? checkRange('Installed capacity', form.capacityMw, CAPACITY_MW_RANGE, ' MW') : null;
+    const latitude = checkRange('Latitude', form.latitude, SA_BOUNDS.latitude, '° (South Africa)');
+    const longitude = checkRange('Longitude', form.longitude, SA_BOUNDS.longitude, '° (South Africa)');
+
+    checkLength('Methodology', form.methodology, REGISTRATION_LIMITS.methodology);
+    if (form.standards.length === 0) throw new Error('Select at least one standard');
+    form.standards.forEach(standard => {
+        if (!PROJECT_STANDARDS.includes(standard)) throw new Error(`Unknown standard ${standard}`);
+    });
+
+    if (form.documents.length > DOCUMENT_MAX_COUNT) throw new Error(`Attach at most ${DOCUMENT_MAX_COUNT} documents`);
+    form.documents.forEach(file => {
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (!DOCUMENT_EXTENSIONS.includes(extension)) throw new Error(`${file.name} is not a ${DOCUMENT_EXTENSIONS.join('/')} file`);
+        if (file.size > DOCUMENT_MAX_BYTES) throw new Error(`${file.name} is larger than ${DOCUMENT_MAX_BYTES / 1024 / 1024} MB`);
+    });
+
+    return {
+        projectName: form.projectName,
+        // Stored on-chain with the province so analytics and the map can place it
+        location: named ? form.location : `${form.location}, ${province.name}`,
+        province,
+        projectType: Number(form.projectType),
+        description: form.description,
+        estimatedCredits: ethers.BigNumber.from(form.estimatedCredits),
+        capacityMw,
+        coordinates: { latitude, longitude },
+        methodology: form.methodology,
+        standards: form.standards,
+        documents: form.documents
+    };
+}
+
+export function buildProjectMetadata(details, documents, registrant) {
+    return {
+        schema: PROJECT_METADATA_SCHEMA,
+        name: details.projectName,
+        description: details.description,
+        projectType: PROJECT_TYPES[details.projectType],
+        location: {
+            name: details.location,
+            province: details.province.name,
+            provinceCode: details.province.code,
+            coordinates: details.coordinates
+        },
+        capacity: details.capacityMw === null ? null : { value: details.capacityMw, unit: 'MW' },
+        estimatedAnnualCredits: details.estimatedCredits.toString(),
+        methodology: details.methodology,
+        standards: details.standards,
+        documents,
+        registrant,
+        createdAt: new Date().toISOString()
+    };
+}
+
+// Registration
+
+function clearRegistrationForm() {
+    ['projectName', 'projectLocation', 'projectProvince', 'projectDescription', 'estimatedCredits', 'projectCapacity', 'projectLatitude', 'projectLongitude', 'projectMethodology', 'projectDocuments']
+        .forEach(id => { document.getElementById(id).value = ''; });
+    document.querySelectorAll('input[name="projectStandards"]').forEach(input => { input.checked = false; });
+}
+
+export async function registerProject() {
+    if (!walletConnected) {
+        showToast('Error', 'Please connect wallet first');
+        return;
+    }
+
+    const states = {};
+    REGISTER_STEPS.forEach(step => { states[step.key] = { status: 'pending', detail: '' }; });
+    const setStep = (key, status, detail = '') => {
+        states[key] = { status, detail };
+        renderSteps('registerSteps', REGISTER_STEPS, states);
+    };
+
+    const button = document.getElementById('registerSubmit');
+    button.disabled = true;
+    let current = 'validate';
+
+    try {
+        setStep('validate', 'active');
+        const details = validateRegistration(readRegistrationForm());
+        setStep('validate', 'done', `${details.location} • ${details.estimatedCredits.toString()} tCO₂/yr`);
+
+        current = 'documents';
+        const documents = [];
+        if (details.documents.length === 0) {
+            setStep('documents', 'skipped', 'No documents attached');
+        } else {
+            for (const file of details.documents) {
+                setStep('documents', 'active', `Pinning ${file.name} (${documents.length + 1}/${details.documents.length})`);
+                documents.push({ name: file.name, type: file.type, size: file.size, uri: await pinToIpfs(file, file.name) });
+            }
+            setStep('documents', 'done', `${documents.length} pinned`);
+        }
+
+        current = 'metadata';
+        setStep('metadata', 'active', `Pinning to ${ipfsApiUrl()}`);
+        const metadata = buildProjectMetadata(details, documents, userAddress);
+        const metadataUri = await pinToIpfs(new Blob([JSON.stringify(metadata, null, 2)], { type: 'application/json' }), 'metadata.json');
+        setStep('metadata', 'done', metadataUri);
+
+        current = 'registration';
+        setStep('registration', 'active', 'Confirm registerProject in your wallet');
+        const receipt = await sendTransaction('Registering project', contracts.ProjectRegistry, 'registerProject', [
+            details.projectName,
+            details.location,
+            details.projectType,
+            details.description,
+            details.estimatedCredits,
+            metadataUri
+        ], { onSent: tx => setStep('registration', 'active', `Waiting for confirmation ${tx.hash.slice(0, 10)}...`) });
+        setStep('registration', 'done', `TX: ${receipt.transactionHash.slice(0, 10)}...`);
+
+        clearRegistrationForm();
+        showToast('Success', `Energy Node registered! TX: ${receipt.transactionHash.slice(0, 10)}...`);
+
+        // Index the new project and reload
+        loadContractData();
+    } catch (err) {
+        console.error(err);
+        setStep(current, 'error', decodeTransactionError(err));
+    } finally {
+        button.disabled = false;
+    }
+}
@@ -0,0 +1,217 @@
+// Credit Retirement & Offset Certificates
+
+import { CONFIG } from './config.js';
+import { html, setHtml } from './dom.js';
+import { explorerUrl } from './network.js';
+import { contracts, loadContractData, userAddress, walletConnected } from './web3.js';
+import { getBlockTimestamp, getIndexedEvents, indexedBlocks } from './indexer.js';
+import { decodeTransactionError, sendTransaction } from './transactions.js';
+import { creditTypeCache, getCreditType, loadCreditTypes } from './credits.js';
+import { downloadFile, formatAddress, formatTimestamp, showToast } from './ui.js';
+
+let activeCertificate = null;
+
+export async function retireHolding(tokenId) {
+    if (!walletConnected) {
+        showToast('Error', 'Please connect wallet first');
+        return;
+    }
+
+    const value = document.getElementById(`retireAmount-${tokenId}`).value;
+    if (!/^\d+$/.test(value) || Number(value) === 0) {
+        showToast('Error', 'Amount must be a whole number of credits');
+        return;
+    }
+
+    try {
+        const balance = await contracts.CarbonCredit.balanceOf(userAddress, tokenId);
+        if (balance.lt(value)) {
+            showToast('Error', `You only hold ${balance.toString()} credits`);
+            return;
+        }
+
+        const receipt = await sendTransaction(`Retiring ${value} credits of token #${tokenId}`, contracts.CarbonCredit, 'retireCredits', [tokenId, value]);
+
+        const retired = receipt.events.find(event => event.event === 'CreditRetired');
+        const certificate = await buildCertificate(retired);
+
+        showToast('Success', `${value} credits retired! TX: ${receipt.transactionHash.slice(0, 10)}...`);
+        showCertificate(certificate);
+        loadContractData();
+    } catch (err) {
+        console.error(err);
+        showToast('Error', decodeTransactionError(err));
+    }
+}
+
+async function buildCertificate(event) {
+    const { tokenId, retiree, amount } = event.args;
+    const [creditType, timestamp] = await Promise.all([
+        getCreditType(tokenId),
+        getBlockTimestamp(event.blockNumber)
+    ]);
+
+    return {
+        certificateId: `${event.transactionHash}-${event.logIndex}`,
+        retiree,
+        tokenId: tokenId.toString(),
+        projectName: creditType.projectName,
+        location: creditType.location,
+        creditCategory: creditType.creditCategory,
+        amount: amount.toString(),
+        unit: 'tCO2e',
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber,
+        timestamp,
+        retiredAt: new Date(timestamp * 1000).toISOString(),
+        contract: CONFIG.CONTRACTS.CarbonCredit,
+        network: CONFIG.NETWORK.chainName,
+        explorerUrl: explorerUrl('tx', event.transactionHash)
+    };
+}
+
+function showCertificate(certificate) {
+    activeCertificate = certificate;
+
+    setHtml(document.getElementById('certificateBody'), html`
+        <div class="text-4xl font-display font-bold gradient-text">${certificate.amount} tCO₂e</div>
+        <div class="text-sm text-gray-400">retired by <span class="font-mono">${certificate.retiree}</span></div>
+        <div class="grid grid-cols-2 gap-3 text-sm text-left pt-4">
+            <div><div class="text-xs text-gray-500">Project</div>${certificate.projectName}</div>
+            <div><div class="text-xs text-gray-500">Location</div>${certificate.location}</div>
+            <div><div class="text-xs text-gray-500">Token ID</div>#${certificate.tokenId}</div>
+            <div><div class="text-xs text-gray-500">Retired</div>${formatTimestamp(certificate.timestamp)}</div>
+        </div>
+        ${certificate.explorerUrl
+            ? html`<a href="${certificate.explorerUrl}" target="_blank" rel="noopener" class="block text-xs font-mono text-emerald-400 hover:underline break-all pt-2">${certificate.transactionHash}</a>`
+            : html`<div class="text-xs font-mono text-gray-400 break-all pt-2">${certificate.transactionHash}</div>`}
+    `);
+
+    document.getElementById('certificateModal').classList.remove('hidden');
+}
+
+export function closeCertificate() {
+    document.getElementById('certificateModal').classList.add('hidden');
+}
+
+function renderCertificateHTML(certificate) {
+    const row = (label, value) => html`<tr><th>${label}</th><td>${value}</td></tr>`;
+
+    return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Carbon Offset Certificate ${certificate.certificateId}</title>
+<style>
+    body { font-family: Georgia, serif; color: #10231f; margin: 0; padding: 48px; }
+    .certificate { max-width: 720px; margin: 0 auto; border: 6px double #0f766e; padding: 48px; text-align: center; }
+    h1 { font-size: 28px; letter-spacing: 2px; text-transform: uppercase; margin: 0 0 8px; }
+    .amount { font-size: 48px; font-weight: bold; color: #0f766e; margin: 24px 0 8px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 32px; text-align: left; font-size: 14px; }
+    th { width: 35%; color: #4b5563; font-weight: normal; padding: 6px 0; }
+    td { font-family: 'Courier New', monospace; word-break: break-all; padding: 6px 0; }
+    .footer { margin-top: 32px; font-size: 12px; color: #6b7280; }
+    @media print { body { padding: 0; } }
+</style>
+</head>
+<body>
+<div class="certificate">
+    <h1>Carbon Offset Retirement Certificate</h1>
+    <div>Vericarbon Protocol</div>
+    <div class="amount">${certificate.amount} tCO₂e</div>
+    <div>permanently retired on ${certificate.retiredAt}</div>
+    <table>
+        ${row('Retiree', certificate.retiree)}
+        ${row('Project', certificate.projectName)}
+        ${row('Location', certificate.location)}
+        ${row('Credit Category', certificate.creditCategory)}
+        ${row('Token ID', certificate.tokenId)}
+        ${row('Network', certificate.network)}
+        ${row('CarbonCredit Contract', certificate.contract)}
+        ${row('Block', certificate.blockNumber)}
+        ${row('Transaction', certificate.transactionHash)}
+    </table>
+    <div class="footer">
+        ${certificate.explorerUrl
+            ? html`Verify on-chain: <a href="${certificate.explorerUrl}">${certificate.explorerUrl}</a><br>`
+            : ''}
+        Certificate ID ${certificate.certificateId}
+    </div>
+</div>
+</body>
+</html>`;
+}
+
+export function printCertificate() {
+    const win = window.open('', '_blank');
+    if (!win) {
+        showToast('Error', 'Allow pop-ups to print the certificate');
+        return;
+    }
+
+    win.document.write(String(renderCertificateHTML(activeCertificate)));
+    win.document.close();
+    win.focus();
+    win.print();
+}
+
+export function downloadCertificate(format) {
+    const name = `vericarbon-retirement-${activeCertificate.tokenId}-${activeCertificate.transactionHash.slice(0, 10)}`;
+
+    if (format === 'json') {
+        downloadFile(`${name}.json`, JSON.stringify(activeCertificate, null, 2), 'application/json');
+    } else {
+        downloadFile(`${name}.html`, String(renderCertificateHTML(activeCertificate)), 'text/html');
+    }
+}
+
+// Public Retirement Ledger
+
+let retirementEvents = [];
+
+export async function loadRetirementLedger() {
+    const container = document.getElementById('retirementLedger');
+
+    try {
+        retirementEvents = getIndexedEvents('CarbonCredit', 'CreditRetired').reverse();
+
+        loadCreditTypes();
+        await Promise.all(retirementEvents.map(event => getBlockTimestamp(event.blockNumber)));
+
+        if (retirementEvents.length === 0) {
+            container.innerHTML = '<tr><td colspan="6" class="text-center py-8 text-gray-500">No credits have been retired yet</td></tr>';
+            return;
+        }
+
+        setHtml(container, retirementEvents.map((event, index) => {
+            const creditType = creditTypeCache[event.args.tokenId.toString()];
+            const txUrl = explorerUrl('tx', event.transactionHash);
+            const txLabel = `${event.transactionHash.slice(0, 10)}...`;
+
+            return html`
+                <tr class="border-t border-emerald-500/10">
+                    <td class="py-3 text-gray-400">${formatTimestamp(indexedBlocks[event.blockNumber])}</td>
+                    <td class="py-3 font-mono text-xs">${formatAddress(event.args.retiree)}</td>
+                    <td class="py-3">${creditType.projectName} <span class="text-gray-500 font-mono text-xs">#${event.args.tokenId.toString()}</span></td>
+                    <td class="py-3 text-emerald-400 font-semibold">${event.args.amount.toString()} tCO₂</td>
+                    <td class="py-3">${txUrl
+                        ? html`<a href="${txUrl}" target="_blank" rel="noopener" class="font-mono text-xs text-emerald-400 hover:underline">${txLabel}</a>`
+                        : html`<span class="font-mono text-xs text-gray-400">${txLabel}</span>`}</td>
+                    <td class="py-3 text-right"><button onclick="openLedgerCertificate(${index})" class="text-xs text-emerald-400 hover:underline">Certificate</button></td>
+                </tr>
+            `;
+        }));
+    } catch (err) {
+        console.error('Error loading retirement ledger:', err);
+        container.innerHTML = '<tr><td colspan="6" class="text-center py-8 text-red-400">Failed to load retirement ledger</td></tr>';
+    }
+}
+
+export async function openLedgerCertificate(index) {
+    try {
+        showCertificate(await buildCertificate(retirementEvents[index]));
+    } catch (err) {
+        console.error(err);
+        showToast('Error', 'Failed to build certificate');
+    }
+}
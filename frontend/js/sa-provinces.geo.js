@@ -0,0 +1,68 @@
+// South African Province Outlines
+//
+// Hand-simplified GeoJSON (WGS84 [longitude, latitude]) for the infrastructure
+// map, bundled so it works offline without a tile service. Outlines are only
+// accurate to a few tens of kilometres: enough to draw the map and place
+// markers, not to decide which province a coordinate falls in. Lesotho and
+// Eswatini are included so the enclaves are drawn inside the outline.
+
+export const SA_PROVINCE_GEOJSON = {
+    type: 'FeatureCollection',
+    features: [
+        {
+            type: 'Feature',
+            properties: { code: 'WC', name: 'Western Cape', center: [20.50, -33.30] },
+            geometry: { type: 'Polygon', coordinates: [[[18.15, -31.60], [19.20, -31.40], [20.10, -32.60], [21.30, -32.40], [22.40, -31.80], [23.90, -31.80], [24.10, -32.60], [23.65, -33.98], [23.37, -34.05], [22.14, -34.18], [20.85, -34.45], [20.00, -34.83], [19.24, -34.42], [18.83, -34.38], [18.60, -34.07], [18.47, -34.35], [18.35, -33.90], [17.90, -33.05], [18.30, -32.30], [18.15, -31.60]]] }
+        },
+        {
+            type: 'Feature',
+            properties: { code: 'NC', name: 'Northern Cape', center: [21.60, -29.60] },
+            geometry: { type: 'Polygon', coordinates: [[[18.15, -31.60], [17.27, -30.30], [16.90, -29.20], [16.45, -28.60], [17.60, -28.77], [19.30, -28.75], [20.00, -28.40], [20.00, -24.75], [20.65, -26.85], [21.70, -26.70], [22.90, -25.85], [23.60, -26.90], [24.30, -27.50], [24.90, -27.95], [24.95, -28.70], [24.40, -29.10], [24.70, -29.60], [25.55, -30.60], [25.00, -31.00], [24.60, -31.50], [23.90, -31.80], [22.40, -31.80], [21.30, -32.40], [20.10, -32.60], [19.20, -31.40], [18.15, -31.60]]] }
+        },
+        {
+            type: 'Feature',
+            properties: { code: 'EC', name: 'Eastern Cape', center: [26.40, -32.10] },
+            geometry: { type: 'Polygon', coordinates: [[[23.65, -33.98], [24.10, -32.60], [23.90, -31.80], [24.60, -31.50], [25.00, -31.00], [25.55, -30.60], [26.70, -30.65], [27.40, -30.40], [28.10, -30.65], [28.60, -30.10], [29.10, -30.00], [29.30, -30.70], [29.90, -30.90], [30.19, -31.08], [29.54, -31.63], [29.15, -31.98], [27.98, -33.08], [26.89, -33.60], [25.70, -34.03], [24.84, -34.21], [23.65, -33.98]]] }
+        },
+        {
+            type: 'Feature',
+            properties: { code: 'FS', name: 'Free State', center: [26.50, -28.60] },
+            geometry: { type: 'Polygon', coordinates: [[[24.90, -27.95], [25.60, -27.70], [26.60, -27.05], [27.30, -26.80], [27.60, -26.70], [28.10, -26.90], [29.00, -26.95], [29.80, -27.40], [29.40, -28.30], [28.70, -28.60], [28.15, -28.70], [27.50, -28.90], [27.00, -29.60], [27.00, -30.10], [27.40, -30.40], [26.70, -30.65], [25.55, -30.60], [24.70, -29.60], [24.40, -29.10], [24.95, -28.70], [24.90, -27.95]]] }
+        },
+        {
+            type: 'Feature',
+            properties: { code: 'KZN', name: 'KwaZulu-Natal', center: [30.70, -28.90] },
+            geometry: { type: 'Polygon', coordinates: [[[29.80, -27.40], [30.30, -27.45], [30.80, -26.80], [31.30, -27.32], [31.90, -27.30], [32.10, -26.85], [32.90, -26.85], [32.60, -28.00], [32.05, -28.80], [31.10, -29.90], [30.19, -31.08], [29.90, -30.90], [29.30, -30.70], [29.10, -30.00], [29.40, -29.30], [28.70, -28.60], [29.40, -28.30], [29.80, -27.40]]] }
+        },
+        {
+            type: 'Feature',
+            properties: { code: 'GP', name: 'Gauteng', center: [28.15, -26.05] },
+            geometry: { type: 'Polygon', coordinates: [[[27.30, -26.30], [27.60, -25.75], [28.10, -25.35], [28.30, -25.10], [28.70, -25.40], [28.90, -25.90], [28.60, -26.50], [28.10, -26.90], [27.60, -26.70], [27.30, -26.30]]] }
+        },
+        {
+            type: 'Feature',
+            properties: { code: 'MP', name: 'Mpumalanga', center: [29.90, -25.90] },
+            geometry: { type: 'Polygon', coordinates: [[[28.30, -25.10], [29.30, -25.05], [30.10, -24.85], [30.70, -24.70], [31.20, -24.30], [31.95, -24.05], [31.97, -25.40], [31.95, -25.95], [31.40, -25.75], [31.10, -25.95], [30.90, -26.30], [30.80, -26.80], [30.30, -27.45], [29.80, -27.40], [29.00, -26.95], [28.10, -26.90], [28.60, -26.50], [28.90, -25.90], [28.70, -25.40], [28.30, -25.10]]] }
+        },
+        {
+            type: 'Feature',
+            properties: { code: 'LP', name: 'Limpopo', center: [29.60, -23.70] },
+            geometry: { type: 'Polygon', coordinates: [[[26.90, -24.25], [27.30, -23.60], [27.95, -22.99], [29.15, -22.20], [30.00, -22.22], [31.30, -22.40], [32.00, -23.30], [31.95, -24.05], [31.20, -24.30], [30.70, -24.70], [30.10, -24.85], [29.30, -25.05], [28.30, -25.10], [28.10, -25.35], [27.60, -24.90], [26.90, -24.25]]] }
+        },
+        {
+            type: 'Feature',
+            properties: { code: 'NW', name: 'North West', center: [25.70, -26.40] },
+            geometry: { type: 'Polygon', coordinates: [[[22.90, -25.85], [23.70, -25.45], [25.60, -25.65], [25.90, -24.75], [26.90, -24.25], [27.60, -24.90], [28.10, -25.35], [27.60, -25.75], [27.30, -26.30], [27.60, -26.70], [27.30, -26.80], [26.60, -27.05], [25.60, -27.70], [24.90, -27.95], [24.30, -27.50], [23.60, -26.90], [22.90, -25.85]]] }
+        },
+        {
+            type: 'Feature',
+            properties: { code: 'LS', name: 'Lesotho', neighbour: true },
+            geometry: { type: 'Polygon', coordinates: [[[27.00, -29.60], [27.50, -28.90], [28.15, -28.70], [28.70, -28.60], [29.40, -29.30], [29.10, -30.00], [28.60, -30.10], [28.10, -30.65], [27.40, -30.40], [27.00, -30.10], [27.00, -29.60]]] }
+        },
+        {
+            type: 'Feature',
+            properties: { code: 'SZ', name: 'Eswatini', neighbour: true },
+            geometry: { type: 'Polygon', coordinates: [[[30.80, -26.80], [30.90, -26.30], [31.10, -25.95], [31.40, -25.75], [31.95, -25.95], [32.05, -26.40], [32.10, -26.85], [31.90, -27.30], [31.30, -27.32], [30.80, -26.80]]] }
+        }
+    ]
+};
@@ -1,36 +1,207 @@
 // Three.js Energy Wave Background with Lightning
+//
+// The scene is built for one quality tier at a time. In auto mode it starts
+// from a tier suited to the device and steps down when the frame rate can't
+// keep up; it stops while the tab is hidden, draws a single still frame for
+// users who prefer reduced motion, and leaves the CSS gradient behind when
+// WebGL is unavailable or the background is switched off.
+
+export const BACKGROUND_STORAGE_KEY = 'vericarbon-background';
+const BACKGROUND_MODES = ['auto', 'high', 'medium', 'low', 'off'];
+
+// Highest quality first; auto mode only ever moves down this list
+export const QUALITY_TIERS = {
+    high: { waves: 8, segments: 100, particles: 200, bolts: 3, pixelRatio: 2, antialias: true, maxFps: 60 },
+    medium: { waves: 6, segments: 60, particles: 100, bolts: 2, pixelRatio: 1.5, antialias: true, maxFps: 60 },
+    low: { waves: 4, segments: 30, particles: 40, bolts: 1, pixelRatio: 1, antialias: false, maxFps: 30 }
+};
+export const TIER_ORDER = Object.keys(QUALITY_TIERS);
+
+// A tier is dropped when a sample averages below this share of its frame cap
+const FPS_SAMPLE_MS = 3000;
+const FPS_DOWNGRADE_RATIO = 0.75;
 
 let scene, camera, renderer, energyWaves = [], particles, lightningBolts = [];
+let backgroundTier = null;
+let backgroundAnimated = false;
+let animationFrame = null;
+let lastFrameTime = 0;
+let frameSample = { start: null, frames: 0 };
+
+// Controller
+
+export function backgroundMode() {
+    const stored = localStorage.getItem(BACKGROUND_STORAGE_KEY);
+    return BACKGROUND_MODES.includes(stored) ? stored : 'auto';
+}
+
+function webglAvailable() {
+    if (typeof THREE === 'undefined') return false;
+
+    try {
+        const canvas = document.createElement('canvas');
+        return !!(canvas.getContext('webgl2') || canvas.getContext('webgl'));
+    } catch (err) {
+        return false;
+    }
+}
+
+function prefersReducedMotion() {
+    return !!window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// Smaller screens and CPUs start one tier down
+function deviceTier(device) {
+    return device.cores <= 4 || device.width < 768 ? 'medium' : 'high';
+}
+
+// Decides which tier to build and whether to animate it. A tier picked by the
+// user is their explicit choice, so only auto mode follows reduced motion.
+export function backgroundPlan(mode, device) {
+    if (mode === 'off' || !device.webgl) return { tier: null, animate: false };
+    if (mode !== 'auto') return { tier: mode, animate: true };
+    return { tier: deviceTier(device), animate: !device.reducedMotion };
+}
+
+export function lowerTier(tier) {
+    return TIER_ORDER[TIER_ORDER.indexOf(tier) + 1] || null;
+}
+
+// A tier the user picked is kept however slowly it renders
+export function shouldDowngrade(mode, tier, fps) {
+    return mode === 'auto' && fps < QUALITY_TIERS[tier].maxFps * FPS_DOWNGRADE_RATIO;
+}
+
+export function initThreeJS() {
+    document.getElementById('backgroundMode').value = backgroundMode();
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            stopAnimation();
+        } else if (backgroundAnimated) {
+            startAnimation();
+        }
+    });
+
+    if (window.matchMedia) {
+        window.matchMedia('(prefers-reduced-motion: reduce)').addEventListener('change', applyBackgroundMode);
+    }
+
+    window.addEventListener('resize', () => {
+        if (!camera || !renderer) return;
+        camera.aspect = window.innerWidth / window.innerHeight;
+        camera.updateProjectionMatrix();
+        renderer.setSize(window.innerWidth, window.innerHeight);
+        if (!backgroundAnimated) renderFrame(Date.now() * 0.001);
+    });
+
+    applyBackgroundMode();
+}
+
+export function setBackgroundMode(value) {
+    if (value === 'auto') {
+        localStorage.removeItem(BACKGROUND_STORAGE_KEY);
+    } else if (BACKGROUND_MODES.includes(value)) {
+        localStorage.setItem(BACKGROUND_STORAGE_KEY, value);
+    }
+
+    document.getElementById('backgroundMode').value = backgroundMode();
+    applyBackgroundMode();
+}
+
+function applyBackgroundMode() {
+    const plan = backgroundPlan(backgroundMode(), {
+        webgl: webglAvailable(),
+        reducedMotion: prefersReducedMotion(),
+        cores: navigator.hardwareConcurrency || 8,
+        width: window.innerWidth
+    });
+
+    stopAnimation();
+    disposeScene();
+    backgroundAnimated = plan.animate;
+    document.getElementById('canvas-container').classList.toggle('static-energy-bg', !plan.tier);
+    if (!plan.tier) return;
+
+    buildScene(plan.tier);
+    if (!plan.animate) {
+        renderFrame(Date.now() * 0.001);
+    } else if (!document.hidden) {
+        startAnimation();
+    }
+}
+
+function startAnimation() {
+    if (animationFrame !== null) return;
+    // Frames right after a resume are slow, so sampling starts over
+    frameSample = { start: null, frames: 0 };
+    animationFrame = requestAnimationFrame(animate);
+}
+
+function stopAnimation() {
+    if (animationFrame !== null) cancelAnimationFrame(animationFrame);
+    animationFrame = null;
+}
+
+function sampleFrameRate(now) {
+    if (frameSample.start === null) {
+        frameSample = { start: now, frames: 0 };
+        return;
+    }
+
+    frameSample.frames++;
+    const elapsed = now - frameSample.start;
+    if (elapsed < FPS_SAMPLE_MS) return;
+
+    const fps = (frameSample.frames * 1000) / elapsed;
+    frameSample = { start: now, frames: 0 };
+    if (!shouldDowngrade(backgroundMode(), backgroundTier, fps)) return;
+
+    const tier = lowerTier(backgroundTier);
+    stopAnimation();
+
+    if (tier) {
+        disposeScene();
+        buildScene(tier);
+        startAnimation();
+    } else {
+        backgroundAnimated = false;
+    }
+}
+
+// Scene
 
-function initThreeJS() {
+function buildScene(tierName) {
+    const tier = QUALITY_TIERS[tierName];
     const container = document.getElementById('canvas-container');
-    
+    backgroundTier = tierName;
+
     scene = new THREE.Scene();
     camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
     camera.position.z = 50;
     camera.position.y = 10;
-    
-    renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true });
+
+    renderer = new THREE.WebGLRenderer({ alpha: true, antialias: tier.antialias });
     renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(window.devicePixelRatio);
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, tier.pixelRatio));
     container.appendChild(renderer.domElement);
-    
+
     // Create energy sine waves (flowing lines)
-    const waveCount = 8;
+    const waveCount = tier.waves;
     for(let i = 0; i < waveCount; i++) {
         const points = [];
-        const segments = 100;
+        const segments = tier.segments;
         const amplitude = 5 + Math.random() * 5;
         const frequency = 0.1 + Math.random() * 0.1;
         const yOffset = (i - waveCount/2) * 8;
-        
+
         for(let j = 0; j <= segments; j++) {
             const x = (j / segments) * 100 - 50;
             const y = yOffset + Math.sin(x * frequency) * amplitude;
             const z = Math.cos(x * frequency * 0.5) * 5;
             points.push(new THREE.Vector3(x, y, z));
         }
-        
+
         const geometry = new THREE.BufferGeometry().setFromPoints(points);
         const material = new THREE.LineBasicMaterial({
             color: i % 2 === 0 ? 0x00ffc8 : 0x00d4ff,
@@ -38,7 +209,7 @@ function initThreeJS() {
             opacity: 0.4 + Math.random() * 0.3,
             linewidth: 2
         });
-        
+
         const wave = new THREE.Line(geometry, material);
         wave.userData = {
             originalPoints: points.map(p => p.clone()),
@@ -50,23 +221,23 @@ function initThreeJS() {
         energyWaves.push(wave);
         scene.add(wave);
     }
-    
+
     // Create energy particles flowing along waves
-    const particleCount = 200;
+    const particleCount = tier.particles;
     const particleGeometry = new THREE.BufferGeometry();
     const positions = new Float32Array(particleCount * 3);
     const colors = new Float32Array(particleCount * 3);
-    
+
     for(let i = 0; i < particleCount; i++) {
         const waveIndex = Math.floor(Math.random() * waveCount);
         const t = Math.random();
         const wave = energyWaves[waveIndex];
-        const point = wave.userData.originalPoints[Math.floor(t * 99)];
-        
+        const point = wave.userData.originalPoints[Math.floor(t * (tier.segments - 1))];
+
         positions[i * 3] = point.x + (Math.random() - 0.5) * 2;
         positions[i * 3 + 1] = point.y + (Math.random() - 0.5) * 2;
         positions[i * 3 + 2] = point.z + (Math.random() - 0.5) * 2;
-        
+
         const colorChoice = Math.random();
         if(colorChoice < 0.33) {
             colors[i * 3] = 0; colors[i * 3 + 1] = 1; colors[i * 3 + 2] = 0.78; // Emerald
@@ -76,10 +247,10 @@ function initThreeJS() {
             colors[i * 3] = 0; colors[i * 3 + 1] = 0.6; colors[i * 3 + 2] = 1; // Blue
         }
     }
-    
+
     particleGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
     particleGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-    
+
     const particleMaterial = new THREE.PointsMaterial({
         size: 0.8,
         vertexColors: true,
@@ -87,70 +258,91 @@ function initThreeJS() {
         opacity: 0.8,
         blending: THREE.AdditiveBlending
     });
-    
+
     particles = new THREE.Points(particleGeometry, particleMaterial);
     scene.add(particles);
-    
+
     // Lightning bolts (electric arcs)
-    for(let i = 0; i < 3; i++) {
+    for(let i = 0; i < tier.bolts; i++) {
         const boltGeometry = new THREE.BufferGeometry();
         const boltPoints = [];
         let currentX = -40 + Math.random() * 20;
         let currentY = -20 + Math.random() * 40;
-        
+
         for(let j = 0; j < 20; j++) {
             boltPoints.push(new THREE.Vector3(currentX, currentY, 0));
             currentX += 4;
             currentY += (Math.random() - 0.5) * 10;
         }
-        
+
         boltGeometry.setFromPoints(boltPoints);
         const boltMaterial = new THREE.LineBasicMaterial({
             color: 0x00ffff,
             transparent: true,
             opacity: 0
         });
-        
+
         const bolt = new THREE.Line(boltGeometry, boltMaterial);
         bolt.userData = { active: false, timer: Math.random() * 100 };
         lightningBolts.push(bolt);
         scene.add(bolt);
     }
-    
+
     // Grid floor
     const gridHelper = new THREE.GridHelper(100, 50, 0x00ffc8, 0x003333);
     gridHelper.position.y = -30;
     gridHelper.material.transparent = true;
     gridHelper.material.opacity = 0.2;
     scene.add(gridHelper);
-    
-    animate();
 }
 
-function animate() {
-    requestAnimationFrame(animate);
-    
-    const time = Date.now() * 0.001;
-    
+function disposeScene() {
+    if (!renderer) return;
+
+    scene.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
+    });
+    renderer.dispose();
+    renderer.domElement.remove();
+
+    scene = camera = renderer = particles = null;
+    energyWaves = [];
+    lightningBolts = [];
+    backgroundTier = null;
+}
+
+function animate(now) {
+    animationFrame = requestAnimationFrame(animate);
+
+    // Skip frames above the tier's cap; the small margin absorbs timer jitter
+    if (now - lastFrameTime < 1000 / QUALITY_TIERS[backgroundTier].maxFps - 2) return;
+    lastFrameTime = now;
+
+    renderFrame(Date.now() * 0.001);
+    sampleFrameRate(now);
+}
+
+function renderFrame(time) {
     // Animate energy waves
     energyWaves.forEach((wave, index) => {
         const positions = wave.geometry.attributes.position.array;
         const originalPoints = wave.userData.originalPoints;
         const phase = wave.userData.phase;
         const speed = wave.userData.speed;
-        
+
         for(let i = 0; i < originalPoints.length; i++) {
             const original = originalPoints[i];
             const offset = Math.sin(time * speed + original.x * 0.1 + phase) * 2;
-            
+
             positions[i * 3] = original.x;
             positions[i * 3 + 1] = original.y + offset;
             positions[i * 3 + 2] = original.z + Math.cos(time * speed + original.x * 0.05) * 2;
         }
-        
+
         wave.geometry.attributes.position.needsUpdate = true;
     });
-    
+
     // Animate particles
     if(particles) {
         const positions = particles.geometry.attributes.position.array;
@@ -161,7 +353,7 @@ function animate() {
         particles.geometry.attributes.position.needsUpdate = true;
         particles.rotation.y = time * 0.05;
     }
-    
+
     // Animate lightning
     lightningBolts.forEach(bolt => {
         bolt.userData.timer--;
@@ -169,7 +361,7 @@ function animate() {
             bolt.userData.active = !bolt.userData.active;
             bolt.userData.timer = bolt.userData.active ? 5 : 100 + Math.random() * 200;
             bolt.material.opacity = bolt.userData.active ? 0.8 : 0;
-            
+
             if(bolt.userData.active) {
                 // Randomize bolt path
                 const positions = bolt.geometry.attributes.position.array;
@@ -182,17 +374,10 @@ function animate() {
             }
         }
     });
-    
+
     // Camera gentle movement
     camera.position.x = Math.sin(time * 0.1) * 5;
     camera.lookAt(0, 0, 0);
-    
+
     renderer.render(scene, camera);
 }
-
-window.addEventListener('resize', () => {
-    if (!camera || !renderer) return;
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
-});
\ No newline at end of file
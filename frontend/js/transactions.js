@@ -0,0 +1,280 @@
+// Transaction Manager
+
+import { ABIS } from './abis.generated.js';
+import { CONFIG, ROLES } from './config.js';
+import { html, setHtml } from './dom.js';
+import { explorerUrl } from './network.js';
+import { provider, userAddress } from './web3.js';
+import { isUserAddress } from './live-updates.js';
+import { formatAddress, showToast } from './ui.js';
+
+const TX_STATUS_STYLES = {
+    signing: 'bg-cyan-500/20 text-cyan-400 border-cyan-500/30',
+    pending: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30',
+    confirmed: 'bg-emerald-500/20 text-emerald-400 border-emerald-500/30',
+    failed: 'bg-red-500/20 text-red-400 border-red-500/30',
+    cancelled: 'bg-gray-500/20 text-gray-400 border-gray-500/30'
+};
+
+// Selectors of the Solidity builtins Error(string) and Panic(uint256)
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// Custom errors from the generated ABIs; the contracts share OpenZeppelin
+// errors, so keep one fragment per name
+const REVERT_INTERFACE = new ethers.utils.Interface(
+    Object.values(ABIS).flat()
+        .filter(fragment => fragment.type === 'error')
+        .filter((fragment, index, errors) => errors.findIndex(other => other.name === fragment.name) === index)
+);
+
+// Revert data is recognized by its selector, not its length: hashes and
+// addresses can look like ABI words, and custom errors needn't
+const REVERT_SELECTORS = new Set([
+    ERROR_STRING_SELECTOR,
+    PANIC_SELECTOR,
+    ...Object.keys(REVERT_INTERFACE.errors).map(signature => REVERT_INTERFACE.getSighash(signature))
+]);
+
+const PANIC_REASONS = {
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow',
+    0x12: 'division by zero',
+    0x32: 'array index out of bounds'
+};
+
+let trackedTransactions = [];
+let nextTransactionId = 0;
+
+export async function sendTransaction(label, contract, method, args = [], options = {}) {
+    const overrides = options.value ? { value: options.value } : {};
+    const entry = trackTransaction(label);
+
+    try {
+        const estimate = await estimateTransaction(contract, method, args, overrides);
+        updateTransaction(entry, { cost: estimate.total, detail: 'Confirm in your wallet' });
+        showToast('Processing', `${label} (est. ${ethers.utils.formatEther(estimate.total)} ETH incl. gas)...`);
+
+        const tx = await contract[method](...args, { ...overrides, gasLimit: estimate.gasLimit });
+        updateTransaction(entry, { status: 'pending', hash: tx.hash, detail: '' });
+        if (options.onSent) options.onSent(tx);
+
+        showToast('Pending', 'Waiting for blockchain confirmation...');
+        const receipt = await waitForTransaction(tx, entry);
+
+        updateTransaction(entry, { status: 'confirmed', hash: receipt.transactionHash, detail: `Block ${receipt.blockNumber}` });
+        return receipt;
+    } catch (err) {
+        updateTransaction(entry, { status: err.cancelled ? 'cancelled' : 'failed', detail: decodeTransactionError(err) });
+        throw err;
+    }
+}
+
+async function estimateTransaction(contract, method, args, overrides) {
+    const [gasLimit, feeData, balance] = await Promise.all([
+        contract.estimateGas[method](...args, overrides),
+        provider.getFeeData(),
+        provider.getBalance(userAddress)
+    ]);
+
+    // The padded limit and maxFeePerGas are ceilings the wallet reserves, not
+    // what gets charged, so the expected cost uses the estimate at the current
+    // base fee plus tip
+    const gasPrice = feeData.lastBaseFeePerGas && feeData.maxPriorityFeePerGas
+        ? feeData.lastBaseFeePerGas.add(feeData.maxPriorityFeePerGas)
+        : feeData.gasPrice;
+    const total = gasLimit.mul(gasPrice).add(overrides.value || 0);
+
+    if (balance.lt(total)) {
+        throw new Error(`Not enough ETH: this needs about ${ethers.utils.formatEther(total)} ETH including gas`);
+    }
+
+    // Headroom for state changing between the estimate and inclusion
+    return { gasLimit: gasLimit.mul(120).div(100), total };
+}
+
+async function waitForTransaction(tx, entry) {
+    try {
+        return await tx.wait();
+    } catch (err) {
+        const receipt = err.receipt;
+
+        if (err.code === ethers.errors.TRANSACTION_REPLACED) {
+            if (err.cancelled) throw err;
+
+            // Sped up in the wallet: same call under a new hash
+            updateTransaction(entry, { hash: err.replacement.hash, detail: 'Sped up in wallet' });
+            if (receipt.status === 1) return receipt;
+        } else if (err.code !== ethers.errors.CALL_EXCEPTION || !receipt) {
+            throw err;
+        }
+
+        // wait() drops the revert reason, so replay the call against the state
+        // before its block to recover it; the block's own state already
+        // includes every transaction mined after it
+        throw (await replayRevert(tx, receipt.blockNumber - 1)) || err;
+    }
+}
+
+async function replayRevert(tx, blockNumber) {
+    try {
+        await provider.call({ from: tx.from, to: tx.to, data: tx.data, value: tx.value }, blockNumber);
+        return null;
+    } catch (err) {
+        return err;
+    }
+}
+
+// Error Decoding
+
+export function decodeTransactionError(err) {
+    if (err.code === ethers.errors.ACTION_REJECTED || err.code === 4001) {
+        return 'Transaction rejected in wallet';
+    }
+    if (err.code === ethers.errors.TRANSACTION_REPLACED && err.cancelled) {
+        return 'Transaction was cancelled or replaced in the wallet';
+    }
+    if (err.code === ethers.errors.INSUFFICIENT_FUNDS) {
+        return 'Not enough ETH to cover the value and gas';
+    }
+
+    const data = findRevertData(err);
+    const decoded = data && decodeRevertData(data);
+    if (decoded) return decoded;
+
+    if (err.reason) {
+        return err.reason.replace(/^execution reverted:?\s*/, '') || 'Transaction reverted';
+    }
+    return (err.message || String(err)).slice(0, 100);
+}
+
+// Wallets and providers nest the revert payload differently (err.error.data,
+// err.data.originalError.data, a JSON-RPC body string...), so search for it
+function findRevertData(value, depth = 0) {
+    if (value === null || value === undefined || depth > 6) return null;
+
+    if (typeof value === 'string') {
+        if (/^0x([0-9a-fA-F]{2}){4,}$/.test(value) && REVERT_SELECTORS.has(value.slice(0, 10).toLowerCase())) return value;
+        if (value.startsWith('{')) {
+            try {
+                return findRevertData(JSON.parse(value), depth + 1);
+            } catch (err) {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    if (typeof value !== 'object') return null;
+
+    for (const key of ['data', 'error', 'originalError', 'result', 'body']) {
+        const found = findRevertData(value[key], depth + 1);
+        if (found) return found;
+    }
+    return null;
+}
+
+function decodeRevertData(data) {
+    const selector = data.slice(0, 10);
+    const payload = `0x${data.slice(10)}`;
+    let parsed;
+
+    try {
+        if (selector === ERROR_STRING_SELECTOR) {
+            return ethers.utils.defaultAbiCoder.decode(['string'], payload)[0];
+        }
+        if (selector === PANIC_SELECTOR) {
+            const [code] = ethers.utils.defaultAbiCoder.decode(['uint256'], payload);
+            return `Contract panicked: ${PANIC_REASONS[code.toNumber()] || `code ${code.toHexString()}`}`;
+        }
+        parsed = REVERT_INTERFACE.parseError(data);
+    } catch (err) {
+        return `Transaction reverted with custom error ${selector}`;
+    }
+
+    const { args } = parsed;
+    switch (parsed.name) {
+        case 'AccessControlUnauthorizedAccount':
+            return `${describeAddress(args.account)} is missing ${describeRole(args.neededRole)}`;
+        case 'EnforcedPause':
+            return 'Contract is paused';
+        case 'ExpectedPause':
+            return 'Contract is not paused';
+        case 'ReentrancyGuardReentrantCall':
+            return 'Reentrant call blocked';
+        case 'ERC1155MissingApprovalForAll':
+            return `${describeAddress(args.operator)} is not approved to transfer credits for ${describeAddress(args.owner)}`;
+        case 'ERC1155InsufficientBalance':
+            return `Insufficient balance of token #${args.tokenId.toString()}: holds ${args.balance.toString()}, needs ${args.needed.toString()}`;
+        case 'ERC1155InvalidReceiver':
+            return `${describeAddress(args.receiver)} cannot receive credits`;
+        case 'ERC1155InvalidSender':
+            return `${describeAddress(args.sender)} cannot send credits`;
+        default:
+            return parsed.name;
+    }
+}
+
+export function describeRole(role) {
+    const entry = Object.entries(ROLES).find(([, id]) => id === role);
+    return entry ? `${entry[0]}_ROLE` : formatAddress(role);
+}
+
+function describeAddress(address) {
+    if (isUserAddress(address)) return 'Your account';
+
+    const entry = Object.entries(CONFIG.CONTRACTS).find(([, contractAddress]) =>
+        contractAddress.toLowerCase() === address.toLowerCase()
+    );
+    return entry ? entry[0] : formatAddress(address);
+}
+
+// Pending Transactions Tray
+
+function trackTransaction(label) {
+    const entry = { id: nextTransactionId++, label, status: 'signing', hash: null, cost: null, detail: '' };
+    trackedTransactions.unshift(entry);
+    renderTransactionTray();
+    return entry;
+}
+
+function updateTransaction(entry, changes) {
+    Object.assign(entry, changes);
+    renderTransactionTray();
+}
+
+function isTransactionOpen(entry) {
+    return entry.status === 'signing' || entry.status === 'pending';
+}
+
+export function clearFinishedTransactions() {
+    trackedTransactions = trackedTransactions.filter(isTransactionOpen);
+    renderTransactionTray();
+}
+
+function renderTransactionTray() {
+    document.getElementById('txTray').classList.toggle('hidden', trackedTransactions.length === 0);
+    document.getElementById('txTrayCount').textContent = trackedTransactions.filter(isTransactionOpen).length;
+
+    setHtml(document.getElementById('txTrayList'), trackedTransactions.map(entry => {
+        const url = entry.hash ? explorerUrl('tx', entry.hash) : null;
+        const hashLabel = entry.hash ? `${entry.hash.slice(0, 10)}...` : 'Not sent yet';
+        const hash = url
+            ? html`<a href="${url}" target="_blank" rel="noopener" class="text-emerald-400 hover:underline">${hashLabel}</a>`
+            : html`<span>${hashLabel}</span>`;
+
+        return html`
+            <div class="p-3 rounded-xl bg-black/30 border border-emerald-500/10 space-y-1">
+                <div class="flex items-center justify-between gap-2">
+                    <span class="text-sm font-medium truncate">${entry.label}</span>
+                    <span class="px-2 py-0.5 rounded text-xs font-mono border ${TX_STATUS_STYLES[entry.status]}">${entry.status.toUpperCase()}</span>
+                </div>
+                <div class="flex items-center justify-between text-xs text-gray-500 font-mono">
+                    ${hash}
+                    <span>${entry.cost ? `~${ethers.utils.formatEther(entry.cost)} ETH` : ''}</span>
+                </div>
+                ${entry.detail ? html`<div class="text-xs ${entry.status === 'failed' ? 'text-red-400' : 'text-gray-400'}">${entry.detail}</div>` : ''}
+            </div>
+        `;
+    }));
+}
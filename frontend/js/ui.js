@@ -1,6 +1,10 @@
 // UI Helper Functions
 
-function switchTab(tabName) {
+import { SA_PROVINCES } from './config.js';
+import { html, setHtml } from './dom.js';
+import { leaveProjectRoute } from './project-detail.js';
+
+export function switchTab(tabName) {
     document.querySelectorAll('.tab-content').forEach(tab => {
         tab.classList.add('hidden');
     });
@@ -12,11 +16,18 @@ function switchTab(tabName) {
         btn.classList.add('text-gray-400');
     });
     
-    event.target.classList.remove('text-gray-400');
-    event.target.classList.add('text-emerald-400');
+    // Routed views such as the project detail page have no nav button
+    const activeButton = document.querySelector(`.nav-tab[data-tab="${tabName}"]`);
+    if (activeButton) {
+        activeButton.classList.remove('text-gray-400');
+        activeButton.classList.add('text-emerald-400');
+    }
+
+    // Leaving the detail view drops its #/project/<id> route
+    if (tabName !== 'project') leaveProjectRoute();
 }
 
-function showToast(title, message) {
+export function showToast(title, message) {
     const toast = document.getElementById('toast');
     const toastTitle = document.getElementById('toastTitle');
     const toastMessage = document.getElementById('toastMessage');
@@ -31,7 +42,26 @@ function showToast(title, message) {
     }, 4000);
 }
 
-function formatAddress(address) {
+// Progress list for multi-step flows; states maps each step key to { status, detail }
+export function renderSteps(elementId, steps, states) {
+    const icons = { pending: '○', active: '◌', done: '✓', skipped: '–', error: '✕' };
+    const colors = { pending: 'text-gray-500', active: 'text-cyan-400 animate-pulse', done: 'text-emerald-400', skipped: 'text-gray-500', error: 'text-red-400' };
+
+    setHtml(document.getElementById(elementId), steps.map(step => {
+        const { status, detail } = states[step.key];
+        return html`
+            <li class="flex items-start space-x-3">
+                <span class="font-mono ${colors[status]}">${icons[status]}</span>
+                <div>
+                    <div class="text-sm ${status === 'pending' ? 'text-gray-500' : 'text-white'}">${step.label}</div>
+                    ${detail ? html`<div class="text-xs text-gray-500 font-mono">${detail}</div>` : ''}
+                </div>
+            </li>
+        `;
+    }));
+}
+
+export function formatAddress(address) {
     if (!address) return '--';
     return `${address.slice(0, 6)}...${address.slice(-4)}`;
 }
@@ -41,6 +71,45 @@ function formatTokenAmount(amount) {
     return ethers.utils.formatEther(amount);
 }
 
+export function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+export function toCsv(rows, columns) {
+    const cell = value => {
+        let text = value === null || value === undefined ? '' : String(value);
+        // Keep spreadsheets from evaluating contract-sourced text as formulas
+        if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.map(cell).join(','), ...rows.map(row => columns.map(column => cell(row[column])).join(','))].join('\n');
+}
+
+// Decimal ETH string for exports, or null when there is no value
+export function formatEthValue(wei) {
+    return wei ? ethers.utils.formatEther(wei) : null;
+}
+
+export function parseProvince(location) {
+    if (!location) return null;
+
+    return SA_PROVINCES.find(province => province.aliases.some(alias =>
+        new RegExp(`\\b${alias.replace(/[-\s]/g, '[-\\s]')}\\b`, 'i').test(location)
+    )) || null;
+}
+
+export function formatTimestamp(seconds) {
+    return new Date(seconds * 1000).toISOString().replace('T', ' ').slice(0, 19) + ' UTC';
+}
+
 function copyToClipboard(text) {
     navigator.clipboard.writeText(text).then(() => {
         showToast('Copied', 'Address copied to clipboard');
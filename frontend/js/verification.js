@@ -0,0 +1,201 @@
+// Verification Dashboard
+
+import { PROJECT_STATUSES, PROJECT_TYPES, ROLES } from './config.js';
+import { html, setHtml } from './dom.js';
+import { contracts, loadContractData, userAddress, walletConnected } from './web3.js';
+import { getIndexedProjects } from './indexer.js';
+import { decodeTransactionError, sendTransaction } from './transactions.js';
+import { loadCreditTypes } from './credits.js';
+import { resolveDocumentUrl } from './project-detail.js';
+import { formatAddress, showToast } from './ui.js';
+
+let verifierRoles = { auditor: false, registryAdmin: false, verifier: false };
+
+export async function loadVerifierRoles() {
+    const [auditor, registryAdmin, verifier] = await Promise.all([
+        contracts.ProjectRegistry.hasRole(ROLES.AUDITOR, userAddress),
+        contracts.ProjectRegistry.hasRole(ROLES.ADMIN, userAddress),
+        contracts.CarbonCredit.hasRole(ROLES.VERIFIER, userAddress)
+    ]);
+
+    verifierRoles = { auditor, registryAdmin, verifier };
+}
+
+function renderRoleBadges() {
+    const badges = [
+        { label: 'AUDITOR_ROLE', contract: 'ProjectRegistry', held: verifierRoles.auditor },
+        { label: 'ADMIN_ROLE', contract: 'ProjectRegistry', held: verifierRoles.registryAdmin },
+        { label: 'VERIFIER_ROLE', contract: 'CarbonCredit', held: verifierRoles.verifier }
+    ];
+
+    setHtml(document.getElementById('verifierRoles'), badges.map(badge => html`
+        <div class="px-3 py-2 rounded-xl border ${badge.held ? 'bg-emerald-500/10 border-emerald-500/30' : 'bg-black/30 border-gray-500/20'}">
+            <div class="text-xs font-mono ${badge.held ? 'text-emerald-400' : 'text-gray-500'}">${badge.label}</div>
+            <div class="text-xs text-gray-500">${badge.contract} • ${badge.held ? 'Granted' : 'Not granted'}</div>
+        </div>
+    `));
+
+    const hasAnyRole = verifierRoles.auditor || verifierRoles.registryAdmin || verifierRoles.verifier;
+    document.getElementById('verifierNotice').classList.toggle('hidden', hasAnyRole);
+}
+
+export async function loadVerificationDashboard() {
+    if (!walletConnected) return;
+
+    try {
+        await loadVerifierRoles();
+        renderRoleBadges();
+
+        const projects = getIndexedProjects();
+
+        renderPendingProjects(projects.filter(project => project.status === 0));
+        renderProjectStatusTable(projects);
+        renderUnverifiedCredits();
+    } catch (err) {
+        console.error('Error loading verification dashboard:', err);
+        showToast('Error', 'Failed to load verification queue');
+    }
+}
+
+export function renderPendingProjects(pending) {
+    const container = document.getElementById('pendingProjects');
+    document.getElementById('pendingCount').textContent = pending.length;
+
+    if (pending.length === 0) {
+        container.innerHTML = '<div class="text-center py-8 text-gray-500 text-sm">No projects awaiting review</div>';
+        return;
+    }
+
+    setHtml(container, pending.map(project => {
+        const id = project.projectId.toString();
+        // Only documents that resolve to an http(s) or IPFS gateway URL are linked
+        const documentUrl = resolveDocumentUrl(project.verificationDocuments);
+        const documents = documentUrl
+            ? html`<a href="${documentUrl}" target="_blank" rel="noopener" class="text-emerald-400 hover:underline">${project.verificationDocuments}</a>`
+            : project.verificationDocuments || '--';
+
+        return html`
+            <div class="p-4 rounded-xl bg-black/30 border border-emerald-500/10 space-y-3">
+                <div class="flex justify-between items-start">
+                    <div>
+                        <div class="font-medium">${project.projectName} <span class="text-gray-500 font-mono text-xs">#${id}</span></div>
+                        <div class="text-xs text-gray-500">${project.location} • ${PROJECT_TYPES[project.projectType]} • ${project.estimatedAnnualCredits.toString()} tCO₂/yr</div>
+                        <div class="text-xs text-gray-500 font-mono">Owner ${formatAddress(project.projectOwner)} • Docs ${documents}</div>
+                    </div>
+                </div>
+                <p class="text-xs text-gray-400">${project.description}</p>
+                ${verifierRoles.auditor ? html`
+                    <div class="flex flex-col md:flex-row gap-2">
+                        <input type="text" id="rejectReason-${id}" placeholder="Rejection reason"
+                            class="flex-1 px-3 py-2 rounded-lg bg-black/30 border border-emerald-500/20 focus:border-emerald-500 outline-none transition-all text-white placeholder-gray-600 text-sm">
+                        <button onclick="approveProject(${id})" class="btn-primary px-4 py-2 rounded-lg font-semibold text-sm text-black">Approve</button>
+                        <button onclick="rejectProject(${id})" class="px-4 py-2 rounded-lg border border-red-500/30 text-red-400 hover:bg-red-500/10 transition-all text-sm">Reject</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }));
+}
+
+export function renderProjectStatusTable(projects) {
+    const section = document.getElementById('statusSection');
+    section.classList.toggle('hidden', !verifierRoles.registryAdmin);
+    if (!verifierRoles.registryAdmin) return;
+
+    const container = document.getElementById('projectStatusTable');
+
+    if (projects.length === 0) {
+        container.innerHTML = '<div class="text-center py-8 text-gray-500 text-sm">No projects registered yet</div>';
+        return;
+    }
+
+    setHtml(container, projects.map(project => {
+        const id = project.projectId.toString();
+        const options = PROJECT_STATUSES.map((name, value) => html`
+            <option value="${value}" ${value === project.status ? 'selected' : ''}>${name}</option>
+        `);
+
+        return html`
+            <div class="flex flex-col md:flex-row md:items-center justify-between gap-2 p-3 rounded-xl bg-black/30 border border-emerald-500/10">
+                <div>
+                    <div class="text-sm font-medium">${project.projectName} <span class="text-gray-500 font-mono text-xs">#${id}</span></div>
+                    <div class="text-xs text-gray-500">Current: ${PROJECT_STATUSES[project.status]}</div>
+                </div>
+                <div class="flex gap-2">
+                    <select id="statusSelect-${id}" class="px-3 py-2 rounded-lg bg-black/30 border border-emerald-500/20 focus:border-emerald-500 outline-none text-white text-sm">${options}</select>
+                    <button onclick="updateProjectStatus(${id})" class="px-4 py-2 rounded-lg glass border border-emerald-500/20 hover:border-emerald-500/50 transition-all text-sm text-emerald-400">Update</button>
+                </div>
+            </div>
+        `;
+    }));
+}
+
+function renderUnverifiedCredits() {
+    const container = document.getElementById('unverifiedCredits');
+
+    const creditTypes = loadCreditTypes();
+    const unverified = Object.keys(creditTypes).filter(id => !creditTypes[id].isVerified);
+    document.getElementById('unverifiedCount').textContent = unverified.length;
+
+    if (unverified.length === 0) {
+        container.innerHTML = '<div class="text-center py-8 text-gray-500 text-sm">All credit types are verified</div>';
+        return;
+    }
+
+    setHtml(container, unverified.map(tokenId => {
+        const creditType = creditTypes[tokenId];
+
+        return html`
+            <div class="flex items-center justify-between p-4 rounded-xl bg-black/30 border border-emerald-500/10">
+                <div>
+                    <div class="font-medium">${creditType.projectName} <span class="text-gray-500 font-mono text-xs">Token #${tokenId}</span></div>
+                    <div class="text-xs text-gray-500">${creditType.location} • ${creditType.creditCategory} • ${creditType.totalSupply.toString()} tCO₂</div>
+                </div>
+                ${verifierRoles.verifier ? html`
+                    <button onclick="verifyCreditType(${tokenId})" class="btn-primary px-4 py-2 rounded-lg font-semibold text-sm text-black">Verify</button>
+                ` : ''}
+            </div>
+        `;
+    }));
+}
+
+async function sendVerificationTx(label, contract, method, args) {
+    try {
+        const receipt = await sendTransaction(label, contract, method, args);
+
+        showToast('Success', `${label} confirmed! TX: ${receipt.transactionHash.slice(0, 10)}...`);
+        loadContractData();
+    } catch (err) {
+        console.error(err);
+        showToast('Error', decodeTransactionError(err));
+    }
+}
+
+export async function approveProject(projectId) {
+    await sendVerificationTx(`Approving project #${projectId}`, contracts.ProjectRegistry, 'approveProject', [projectId]);
+}
+
+export async function rejectProject(projectId) {
+    const reason = document.getElementById(`rejectReason-${projectId}`).value.trim();
+    if (!reason) {
+        showToast('Error', 'Please give a reason for the rejection');
+        return;
+    }
+
+    await sendVerificationTx(`Rejecting project #${projectId}`, contracts.ProjectRegistry, 'rejectProject', [projectId, reason]);
+}
+
+export async function updateProjectStatus(projectId) {
+    const status = parseInt(document.getElementById(`statusSelect-${projectId}`).value);
+
+    await sendVerificationTx(
+        `Setting project #${projectId} to ${PROJECT_STATUSES[status]}`,
+        contracts.ProjectRegistry,
+        'updateProjectStatus',
+        [projectId, status]
+    );
+}
+
+export async function verifyCreditType(tokenId) {
+    await sendVerificationTx(`Verifying credit type #${tokenId}`, contracts.CarbonCredit, 'verifyCreditType', [tokenId]);
+}
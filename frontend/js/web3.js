@@ -1,50 +1,104 @@
 // Web3 & Wallet Management
 
-let provider, signer, contracts = {};
-let walletConnected = false;
-let userAddress = null;
+import { ABIS } from './abis.generated.js';
+import { CONFIG, NETWORKS } from './config.js';
+import { selectNetwork, selectedChainId, switchWalletNetwork } from './network.js';
+import { getIndexedEvents, getIndexedProjects, getIndexedVolume, openIndexer, rebuildIndexer, syncIndexer } from './indexer.js';
+import { subscribeToContractEvents } from './live-updates.js';
+import { loadMarketplace } from './marketplace.js';
+import { loadVerificationDashboard } from './verification.js';
+import { loadOwnerConsole } from './owner-console.js';
+import { loadRetirementLedger } from './retirement.js';
+import { loadPortfolio } from './portfolio.js';
+import { loadAnalytics } from './analytics.js';
+import { renderProjectDetail } from './project-detail.js';
+import { loadProjects } from './projects.js';
+import { loadInfrastructure } from './infrastructure.js';
+import { loadContractInspector } from './contract-inspector.js';
+import { showToast } from './ui.js';
+
+export let provider, contracts = {};
+let signer;
+export let walletConnected = false;
+let readOnlyMode = false;
+export let userAddress = null;
+
+function initContracts(signerOrProvider) {
+    contracts.ProjectRegistry = new ethers.Contract(
+        CONFIG.CONTRACTS.ProjectRegistry,
+        ABIS.ProjectRegistry,
+        signerOrProvider
+    );
+    
+    contracts.CarbonCredit = new ethers.Contract(
+        CONFIG.CONTRACTS.CarbonCredit,
+        ABIS.CarbonCredit,
+        signerOrProvider
+    );
+    
+    contracts.Marketplace = new ethers.Contract(
+        CONFIG.CONTRACTS.Marketplace,
+        ABIS.Marketplace,
+        signerOrProvider
+    );
+}
+
+export function contractsReady() {
+    return walletConnected || readOnlyMode;
+}
+
+// Read-only access for visitors without a connected wallet
+export async function connectReadOnly() {
+    try {
+        provider = new ethers.providers.JsonRpcProvider(CONFIG.NETWORK.rpcUrl, selectedChainId);
+        signer = null;
+        initContracts(provider);
+        
+        await openIndexer(selectedChainId);
+        
+        readOnlyMode = true;
+        updateWalletUI();
+        loadContractData();
+        subscribeToContractEvents();
+    } catch (err) {
+        console.error('Error starting read-only mode:', err);
+        showToast('Error', `Could not reach ${CONFIG.NETWORK.chainName} RPC`);
+    }
+}
 
 // Connect Wallet
-async function connectWallet() {
+export async function connectWallet() {
     if (typeof window.ethereum === 'undefined') {
         showToast('Error', 'Please install MetaMask');
         return;
     }
     
     try {
-        provider = new ethers.providers.Web3Provider(window.ethereum);
-        await provider.send("eth_requestAccounts", []);
-        signer = provider.getSigner();
-        userAddress = await signer.getAddress();
-        
-        // Check network
-        const network = await provider.getNetwork();
-        if (network.chainId !== 11155111) {
-            await switchToSepolia();
+        // 'any' lets the same provider follow the wallet across chain switches
+        const walletProvider = new ethers.providers.Web3Provider(window.ethereum, 'any');
+        await walletProvider.send("eth_requestAccounts", []);
+        
+        // Use the deployment for the wallet's chain, switching if it has none
+        let { chainId } = await walletProvider.getNetwork();
+        if (!NETWORKS[chainId]) {
+            chainId = selectedChainId;
+            await switchWalletNetwork(chainId);
         }
+        await selectNetwork(chainId);
         
-        // Initialize contracts
-        contracts.ProjectRegistry = new ethers.Contract(
-            CONFIG.CONTRACTS.ProjectRegistry,
-            ABIS.ProjectRegistry,
-            signer
-        );
-        
-        contracts.CarbonCredit = new ethers.Contract(
-            CONFIG.CONTRACTS.CarbonCredit,
-            ABIS.CarbonCredit,
-            signer
-        );
+        // Replace any read-only provider with the wallet's signer
+        provider = walletProvider;
+        signer = provider.getSigner();
+        userAddress = await signer.getAddress();
+        initContracts(signer);
         
-        contracts.Marketplace = new ethers.Contract(
-            CONFIG.CONTRACTS.Marketplace,
-            ABIS.Marketplace,
-            signer
-        );
+        await openIndexer(chainId);
         
         walletConnected = true;
+        readOnlyMode = false;
         updateWalletUI();
         loadContractData();
+        subscribeToContractEvents();
         
         showToast('Connected', `Wallet ${userAddress.slice(0, 6)}...${userAddress.slice(-4)} connected to Energy Grid`);
     } catch (err) {
@@ -53,159 +107,65 @@ async function connectWallet() {
     }
 }
 
-async function switchToSepolia() {
-    try {
-        await window.ethereum.request({
-            method: 'wallet_switchEthereumChain',
-            params: [{ chainId: CONFIG.NETWORK.chainId }],
-        });
-    } catch (err) {
-        showToast('Error', 'Please switch to Sepolia network in MetaMask');
-        throw err;
-    }
+// Forget the wallet's account; callers fall back to read-only mode
+export function resetWallet() {
+    walletConnected = false;
+    userAddress = null;
 }
 
 function updateWalletUI() {
-    document.getElementById('walletText').textContent = `${userAddress.slice(0, 6)}...${userAddress.slice(-4)}`;
+    const status = document.getElementById('contractStatus');
     document.getElementById('networkBadge').classList.remove('hidden');
-    document.getElementById('contractStatus').textContent = 'CONNECTED';
-    document.getElementById('contractStatus').className = 'px-2 py-1 rounded bg-emerald-500/20 text-emerald-400 text-xs font-mono border border-emerald-500/30';
-}
-
-// Contract Interactions
-async function registerProject() {
-    if (!walletConnected) {
-        showToast('Error', 'Please connect wallet first');
-        return;
-    }
-    
-    const name = document.getElementById('projectName').value;
-    const location = document.getElementById('projectLocation').value;
-    const type = parseInt(document.getElementById('projectType').value);
-    const description = document.getElementById('projectDescription').value;
-    const estimatedCredits = document.getElementById('estimatedCredits').value;
-    const verificationDocs = document.getElementById('verificationDocs').value || 'ipfs://pending';
     
-    if (!name || !location || !description || !estimatedCredits) {
-        showToast('Error', 'Please fill all required fields');
+    if (!walletConnected) {
+        document.getElementById('walletText').textContent = 'Connect Wallet';
+        status.textContent = 'READ-ONLY';
+        status.className = 'px-2 py-1 rounded bg-cyan-500/20 text-cyan-400 text-xs font-mono border border-cyan-500/30';
         return;
     }
     
-    try {
-        showToast('Processing', 'Submitting to Energy Grid...');
-        
-        const tx = await contracts.ProjectRegistry.registerProject(
-            name,
-            location,
-            type,
-            description,
-            estimatedCredits,
-            verificationDocs
-        );
-        
-        showToast('Pending', 'Waiting for blockchain confirmation...');
-        const receipt = await tx.wait();
-        
-        // Clear form
-        document.getElementById('projectName').value = '';
-        document.getElementById('projectLocation').value = '';
-        document.getElementById('projectDescription').value = '';
-        document.getElementById('estimatedCredits').value = '';
-        document.getElementById('verificationDocs').value = '';
-        
-        showToast('Success', `Energy Node registered! TX: ${receipt.transactionHash.slice(0, 10)}...`);
-        
-        // Reload projects
-        setTimeout(() => loadProjects(), 2000);
-    } catch (err) {
-        console.error(err);
-        showToast('Error', err.message.slice(0, 100));
-    }
+    document.getElementById('walletText').textContent = `${userAddress.slice(0, 6)}...${userAddress.slice(-4)}`;
+    status.textContent = 'CONNECTED';
+    status.className = 'px-2 py-1 rounded bg-emerald-500/20 text-emerald-400 text-xs font-mono border border-emerald-500/30';
 }
 
-async function loadContractData() {
+// Contract Interactions
+export async function loadContractData() {
     try {
-        const totalProjects = await contracts.ProjectRegistry.getTotalProjects();
-        const totalListings = await contracts.Marketplace.getTotalListings();
-        const volumeTraded = await contracts.Marketplace.totalVolumeTraded();
+        // A network or account switch took over the indexer and loads its own data
+        if (!(await syncIndexer())) return;
         const protocolFee = await contracts.Marketplace.protocolFeePercent();
         
-        document.getElementById('totalProjects').textContent = totalProjects.toString();
-        document.getElementById('totalListings').textContent = totalListings.toString();
+        document.getElementById('totalProjects').textContent = getIndexedProjects().length;
+        document.getElementById('totalListings').textContent = getIndexedEvents('Marketplace', 'ListingCreated').length;
+        document.getElementById('volumeTraded').textContent = `${ethers.utils.formatEther(getIndexedVolume())} ETH`;
         document.getElementById('protocolFee').textContent = (protocolFee / 10) + '%';
         
         loadProjects();
+        loadMarketplace();
+        loadVerificationDashboard();
+        loadOwnerConsole();
+        loadPortfolio();
+        loadRetirementLedger();
+        loadAnalytics();
+        loadInfrastructure();
+        loadContractInspector();
+        renderProjectDetail();
     } catch (err) {
         console.error('Error loading contract data:', err);
     }
 }
 
-async function loadProjects() {
-    if (!walletConnected) return;
+export async function rebuildCache() {
+    if (!contractsReady()) return;
     
     try {
-        const total = await contracts.ProjectRegistry.getTotalProjects();
-        const projectsGrid = document.getElementById('projectsGrid');
-        
-        if (total.eq(0)) {
-            projectsGrid.innerHTML = '<div class="col-span-full text-center py-12 text-gray-500">No energy nodes registered yet</div>';
-            return;
-        }
-        
-        let projectsHTML = '';
-        
-        for (let i = 0; i < total.toNumber(); i++) {
-            const project = await contracts.ProjectRegistry.getProjectInfo(i);
-            const isApproved = await contracts.ProjectRegistry.isProjectApproved(i);
-            
-            const statusColors = ['gray', 'emerald', 'red', 'blue', 'yellow'];
-            const statusNames = ['Pending', 'Approved', 'Rejected', 'Active', 'Suspended'];
-            
-            projectsHTML += `
-                <div class="glass-card rounded-2xl overflow-hidden border border-emerald-500/20 hover:border-emerald-500/50 transition-all hover:transform hover:scale-[1.02] group">
-                    <div class="h-32 bg-gradient-to-br from-gray-900 to-black relative p-4 overflow-hidden">
-                        <div class="absolute inset-0 opacity-30">
-                            <svg class="w-full h-full" viewBox="0 0 200 100" preserveAspectRatio="none">
-                                <path d="M0 50 Q 50 20 100 50 T 200 50" fill="none" stroke="#00ffc8" stroke-width="2" opacity="0.6">
-                                    <animate attributeName="d" dur="3s" repeatCount="indefinite" values="M0 50 Q 50 20 100 50 T 200 50;M0 50 Q 50 80 100 50 T 200 50;M0 50 Q 50 20 100 50 T 200 50"/>
-                                </path>
-                            </svg>
-                        </div>
-                        <div class="absolute top-4 right-4 px-2 py-1 rounded-full bg-${statusColors[project.status]}-500/20 border border-${statusColors[project.status]}-500/30 text-xs text-${statusColors[project.status]}-400 font-mono">
-                            ${statusNames[project.status]}
-                        </div>
-                        <div class="absolute bottom-4 left-4 flex items-center space-x-2">
-                            <span class="w-2 h-2 rounded-full bg-emerald-400 animate-pulse"></span>
-                            <span class="px-2 py-1 rounded bg-black/50 text-xs font-medium text-emerald-400 border border-emerald-500/30">Node #${i}</span>
-                        </div>
-                    </div>
-                    <div class="p-6">
-                        <h3 class="font-display text-lg font-semibold mb-1">${project.projectName}</h3>
-                        <p class="text-sm text-gray-500 mb-4">${project.location}</p>
-                        
-                        <div class="space-y-3 mb-4">
-                            <div class="flex justify-between text-sm">
-                                <span class="text-gray-500">Est. Annual Output</span>
-                                <span class="text-emerald-400 font-semibold">${project.estimatedAnnualCredits.toString()} tCO₂</span>
-                            </div>
-                            <div class="flex justify-between text-sm">
-                                <span class="text-gray-500">Owner</span>
-                                <span class="text-gray-400 font-mono text-xs">${project.projectOwner.slice(0, 6)}...${project.projectOwner.slice(-4)}</span>
-                            </div>
-                        </div>
-                        
-                        <div class="text-xs text-gray-500 pt-4 border-t border-emerald-500/10">
-                            ${project.description.slice(0, 100)}${project.description.length > 100 ? '...' : ''}
-                        </div>
-                    </div>
-                </div>
-            `;
-        }
-        
-        projectsGrid.innerHTML = projectsHTML;
-        document.getElementById('activeProjects').textContent = total.toString();
+        showToast('Processing', 'Rebuilding local event cache...');
+        await rebuildIndexer();
+        await loadContractData();
+        showToast('Success', 'Event cache rebuilt');
     } catch (err) {
-        console.error('Error loading projects:', err);
-        showToast('Error', 'Failed to sync grid data');
+        console.error(err);
+        showToast('Error', 'Failed to rebuild event cache');
     }
-}
\ No newline at end of file
+}
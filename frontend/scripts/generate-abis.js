@@ -0,0 +1,239 @@
+// ABI Generation & Consistency Check
+//
+// Writes frontend/js/abis.generated.js from the Foundry artifacts in out/.
+// Run after `forge build`:
+//
+//     node frontend/scripts/generate-abis.js           regenerate the module
+//     node frontend/scripts/generate-abis.js --check   fail if it is stale or the
+//                                                      frontend uses anything the
+//                                                      contracts don't expose
+//
+// Pass --out <dir> to read artifacts from somewhere other than <repo>/out.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const FRONTEND_JS = path.join(ROOT, 'frontend', 'js');
+const GENERATED_FILE = path.join(FRONTEND_JS, 'abis.generated.js');
+const CONTRACT_NAMES = ['CarbonCredit', 'ProjectRegistry', 'Marketplace'];
+
+// Members every ethers.Contract has regardless of the ABI
+const CONTRACT_BUILTINS = ['address', 'interface', 'filters', 'estimateGas', 'callStatic', 'populateTransaction', 'on', 'off', 'once', 'queryFilter', 'connect', 'attach'];
+
+function parseArgs(argv) {
+    const args = { check: false, out: path.join(ROOT, 'out') };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--check') args.check = true;
+        else if (argv[i] === '--out') args.out = path.resolve(argv[++i]);
+        else throw new Error(`Unknown argument ${argv[i]}`);
+    }
+    return args;
+}
+
+function signature(fragment) {
+    return `${fragment.type} ${fragment.name || ''}(${(fragment.inputs || []).map(input => input.type).join(',')})`;
+}
+
+// Recursively sort object keys so key order in the artifacts doesn't matter
+function canonical(value) {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+    }
+    return value;
+}
+
+function loadAbis(outDir) {
+    const abis = {};
+    for (const name of CONTRACT_NAMES) {
+        const artifact = path.join(outDir, `${name}.sol`, `${name}.json`);
+        if (!fs.existsSync(artifact)) {
+            throw new Error(`Missing artifact ${path.relative(ROOT, artifact)} - run forge build first`);
+        }
+
+        // Sorted so the output doesn't depend on compiler ordering
+        abis[name] = JSON.parse(fs.readFileSync(artifact, 'utf8')).abi
+            .map(canonical)
+            .sort((a, b) => signature(a).localeCompare(signature(b)));
+    }
+    return abis;
+}
+
+function renderModule(abis) {
+    const body = Object.entries(abis).map(([name, abi]) => [
+        `    ${name}: [`,
+        abi.map(fragment => `        ${JSON.stringify(fragment)}`).join(',\n'),
+        '    ]'
+    ].join('\n')).join(',\n\n');
+
+    return [
+        '// Contract ABIs',
+        '// Generated by frontend/scripts/generate-abis.js from the Foundry artifacts in out/.',
+        '// Do not edit by hand; run `forge build && node frontend/scripts/generate-abis.js`.',
+        '',
+        'export const ABIS = {',
+        body,
+        '};',
+        ''
+    ].join('\n');
+}
+
+// Static scan of the frontend for contract members it relies on
+function collectUsages() {
+    const usages = [];
+    const add = (kind, contract, member, file, index, source) => {
+        const line = source.slice(0, index).split('\n').length;
+        usages.push({ kind, contract, member, where: `frontend/js/${file}:${line}` });
+    };
+
+    const files = fs.readdirSync(FRONTEND_JS).filter(file => file.endsWith('.js') && file !== 'abis.generated.js');
+    for (const file of files) {
+        const source = fs.readFileSync(path.join(FRONTEND_JS, file), 'utf8');
+        let match;
+
+        // contracts.Marketplace.protocolFeePercent()
+        const directCall = /contracts\.(\w+)\.(\w+)\b/g;
+        while ((match = directCall.exec(source))) {
+            if (!CONTRACT_BUILTINS.includes(match[2])) add('function', match[1], match[2], file, match.index, source);
+        }
+
+        // sendTransaction(label, contracts.Marketplace, 'buyCredits', ...)
+        const managedCall = /contracts\.(\w+),\s*'(\w+)'/g;
+        while ((match = managedCall.exec(source))) {
+            add('function', match[1], match[2], file, match.index, source);
+        }
+
+        // getIndexedEvents('CarbonCredit', 'CreditRetired')
+        const indexedEvent = /getIndexedEvents\('(\w+)',\s*'(\w+)'\)/g;
+        while ((match = indexedEvent.exec(source))) {
+            add('event', match[1], match[2], file, match.index, source);
+        }
+
+        // export const INDEXED_EVENTS = { ProjectRegistry: ['ProjectRegistered', ...], ... };
+        const indexedBlock = /const INDEXED_EVENTS = \{([\s\S]*?)\};/.exec(source);
+        if (indexedBlock) {
+            const entry = /(\w+):\s*\[([^\]]*)\]/g;
+            while ((match = entry.exec(indexedBlock[1]))) {
+                for (const eventName of match[2].match(/\w+/g) || []) {
+                    add('event', match[1], eventName, file, indexedBlock.index, source);
+                }
+            }
+        }
+
+        // receipt.events.find(event => event.event === 'CreditTypeMinted')
+        const receiptEvent = /event\.event === '(\w+)'/g;
+        while ((match = receiptEvent.exec(source))) {
+            add('event', null, match[1], file, match.index, source);
+        }
+
+        collectDynamicUsages(file, source, add);
+    }
+    return usages;
+}
+
+// contracts[contractName] can't be resolved statically, so a module that
+// calls ABI functions through it declares them in a CONTRACT_CALLS map:
+//
+//     const CONTRACT_CALLS = { CarbonCredit: ['paused', 'uri'], ... };
+//
+// Declared functions are checked against the ABIs, and any other member or
+// call through contracts[...] is reported as unresolved.
+function collectDynamicUsages(file, source, add) {
+    const declared = new Set();
+    let match;
+
+    const callsBlock = /const CONTRACT_CALLS = \{([\s\S]*?)\};/.exec(source);
+    if (callsBlock) {
+        const entry = /(\w+):\s*\[([^\]]*)\]/g;
+        while ((match = entry.exec(callsBlock[1]))) {
+            for (const member of match[2].match(/\w+/g) || []) {
+                add('function', match[1], member, file, callsBlock.index, source);
+                declared.add(member);
+            }
+        }
+    }
+
+    const resolve = (member, index) => {
+        if (!CONTRACT_BUILTINS.includes(member) && !declared.has(member)) {
+            add('unresolved', null, member, file, index, source);
+        }
+    };
+
+    // contracts[contractName].interface
+    const memberAccess = /contracts\[[^\]]+\]\.(\w+)/g;
+    while ((match = memberAccess.exec(source))) resolve(match[1], match.index);
+
+    // const contract = contracts[contractName]; ... contract.paused()
+    const alias = /const (\w+) = contracts\[[^\]]+\];/g;
+    while ((match = alias.exec(source))) {
+        const aliasMember = new RegExp(`\\b${match[1]}\\.(\\w+)`, 'g');
+        let use;
+        while ((use = aliasMember.exec(source))) resolve(use[1], use.index);
+    }
+
+    // sendTransaction(label, contracts[action.contractName], action.method, ...)
+    const passed = /(const \w+ = )?contracts\[[^\]]+\](?!\.)/g;
+    while ((match = passed.exec(source))) {
+        if (!match[1] && !callsBlock) add('unresolved', null, 'contracts[...]', file, match.index, source);
+    }
+}
+
+function findMissing(abis, usages) {
+    const exposes = (contract, kind, member) => abis[contract] && abis[contract].some(fragment =>
+        fragment.type === kind && fragment.name === member
+    );
+
+    return usages.filter(usage => {
+        if (usage.kind === 'unresolved') return true;
+        if (usage.contract === null) {
+            return !CONTRACT_NAMES.some(contract => exposes(contract, usage.kind, usage.member));
+        }
+        return !exposes(usage.contract, usage.kind, usage.member);
+    });
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const abis = loadAbis(args.out);
+    const output = renderModule(abis);
+
+    if (!args.check) {
+        fs.writeFileSync(GENERATED_FILE, output);
+        console.log(`Wrote ${path.relative(ROOT, GENERATED_FILE)}`);
+        return;
+    }
+
+    const problems = [];
+
+    const current = fs.existsSync(GENERATED_FILE) ? fs.readFileSync(GENERATED_FILE, 'utf8') : '';
+    if (current !== output) {
+        problems.push(`${path.relative(ROOT, GENERATED_FILE)} is out of date with the contract artifacts`);
+    }
+
+    for (const usage of findMissing(abis, collectUsages())) {
+        if (usage.kind === 'unresolved') {
+            const what = usage.member === 'contracts[...]' ? 'a contract passed on from contracts[...]' : `${usage.member} on contracts[...]`;
+            problems.push(`${usage.where}: can't resolve ${what}; list the functions it calls in the module's CONTRACT_CALLS`);
+            continue;
+        }
+        const owner = usage.contract || 'any contract';
+        problems.push(`${usage.where}: ${owner} has no ${usage.kind} ${usage.member}`);
+    }
+
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(problem));
+        console.error('\nRun `forge build && node frontend/scripts/generate-abis.js` and fix the calls above.');
+        process.exit(1);
+    }
+
+    console.log('Frontend ABIs match the contract artifacts');
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
@@ -0,0 +1,164 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { bn, loadFrontend } from './browser-context.js';
+
+const BUYER = '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1';
+const SELLER = '0xFFcf8FDEE72ac11b5c542428B35EEF5769C409f0';
+const ETH = 10n ** 18n;
+
+const at = iso => Date.parse(iso) / 1000;
+const BLOCKS = {
+    1: at('2026-01-10T10:00:00Z'),
+    2: at('2026-01-10T18:00:00Z'),
+    3: at('2026-01-11T09:00:00Z'),
+    4: at('2026-01-12T09:00:00Z')
+};
+
+function project(id, projectName, location, projectType) {
+    return { projectId: bn(id), projectName, location, projectType, status: 1 };
+}
+
+const PROJECTS = [
+    project(0, 'Knysna Forest Restoration', 'Knysna, Western Cape', 1),
+    project(1, 'Upington CSP', 'Upington', 0)
+];
+
+// Token 0 was minted with a category that doesn't name its project type,
+// token 1 by a script with free text, and token 2 matches no project
+const CREDIT_TYPES = {
+    0: { tokenId: bn(0), projectName: 'Knysna Forest Restoration', location: 'Knysna, Western Cape', creditCategory: 'Renewable Energy' },
+    1: { tokenId: bn(1), projectName: 'Upington CSP', location: 'Upington', creditCategory: 'Solar PV' },
+    2: { tokenId: bn(2), projectName: 'Unregistered', location: '', creditCategory: 'Forestry Carbon' }
+};
+
+function purchase(blockNumber, tokenId, amount, totalPrice) {
+    return {
+        blockNumber,
+        transactionHash: `0x${String(blockNumber).repeat(64)}`,
+        args: {
+            listingId: bn(tokenId),
+            tokenId: bn(tokenId),
+            buyer: BUYER,
+            seller: SELLER,
+            amount: bn(amount),
+            totalPrice: bn(totalPrice),
+            // 2.5% protocol fee
+            protocolFee: bn(BigInt(totalPrice) / 40n)
+        }
+    };
+}
+
+const EVENTS = {
+    CreditsPurchased: [
+        purchase(1, 0, 100, ETH),
+        purchase(2, 0, 300, 45n * ETH / 10n),
+        purchase(3, 1, 50, ETH)
+    ],
+    ListingCreated: [
+        { blockNumber: 1, args: { listingId: bn(0), tokenId: bn(0), pricePerCredit: bn(ETH / 50n), amount: bn(500) } },
+        { blockNumber: 2, args: { listingId: bn(1), tokenId: bn(0), pricePerCredit: bn(12n * ETH / 1000n), amount: bn(50) } },
+        { blockNumber: 4, args: { listingId: bn(2), tokenId: bn(2), pricePerCredit: bn(3n * ETH / 100n), amount: bn(10) } },
+        // Cheaper than every other ask, but cancelled
+        { blockNumber: 4, args: { listingId: bn(3), tokenId: bn(0), pricePerCredit: bn(ETH / 1000n), amount: bn(10) } }
+    ]
+};
+
+const LISTINGS = [
+    { listingId: bn(0), active: true },
+    { listingId: bn(1), active: true },
+    { listingId: bn(2), active: true },
+    { listingId: bn(3), active: false }
+];
+
+async function analytics() {
+    const browser = loadFrontend({
+        'indexer.js': {
+            indexedBlocks: BLOCKS,
+            getIndexedProjects: () => PROJECTS,
+            getIndexedCreditTypes: () => CREDIT_TYPES,
+            getIndexedListings: () => LISTINGS,
+            getIndexedEvents: (contract, event) => (contract === 'Marketplace' && EVENTS[event]) || []
+        }
+    });
+    const { computeMarketAnalytics } = await browser.import('analytics.js');
+    return computeMarketAnalytics();
+}
+
+const strings = values => Object.fromEntries(Object.entries(values).map(([key, value]) =>
+    [key, value && value._isBigNumber ? value.toString() : value]
+));
+
+test('token stats use the volume-weighted average price', async () => {
+    const { tokens } = await analytics();
+    const { trades, asks, ...token } = tokens[0];
+
+    assert.equal(trades.length, 2);
+    assert.equal(asks.length, 3);
+    assert.deepEqual(strings(token), {
+        tokenId: '0',
+        projectName: 'Knysna Forest Restoration',
+        category: 'Renewable Energy',
+        projectType: 'Forestry Carbon',
+        province: 'Western Cape',
+        credits: '400',
+        volume: (55n * ETH / 10n).toString(),
+        fees: (55n * ETH / 400n).toString(),
+        // 5.5 ETH over 400 credits, not the 0.0125 ETH mean of the two prices
+        vwap: (55n * ETH / 4000n).toString(),
+        last: (15n * ETH / 1000n).toString(),
+        min: (ETH / 100n).toString(),
+        max: (15n * ETH / 1000n).toString(),
+        lowestAsk: (12n * ETH / 1000n).toString()
+    });
+});
+
+test('the lowest ask ignores sold and cancelled listings', async () => {
+    const { tokens } = await analytics();
+
+    assert.equal(tokens[0].asks.length, 3);
+    assert.equal(tokens[0].lowestAsk.toString(), (12n * ETH / 1000n).toString());
+});
+
+test('tokens that were only listed have no trade prices', async () => {
+    const { tokens } = await analytics();
+
+    assert.equal(tokens[2].trades.length, 0);
+    assert.equal(tokens[2].vwap, null);
+    assert.equal(tokens[2].last, null);
+    assert.equal(tokens[2].lowestAsk.toString(), (3n * ETH / 100n).toString());
+});
+
+test('trades are bucketed by UTC day with their fees', async () => {
+    const { daily, totals } = await analytics();
+
+    assert.deepEqual([...daily].map(strings), [
+        { date: '2026-01-10', trades: 2, credits: '400', volume: (55n * ETH / 10n).toString(), fees: (55n * ETH / 400n).toString() },
+        { date: '2026-01-11', trades: 1, credits: '50', volume: ETH.toString(), fees: (ETH / 40n).toString() }
+    ]);
+    assert.deepEqual(strings(totals), {
+        trades: 3,
+        credits: '450',
+        volume: (65n * ETH / 10n).toString(),
+        fees: (65n * ETH / 400n).toString()
+    });
+});
+
+test('the type breakdown uses the registry project type, not the minted category', async () => {
+    const { byType } = await analytics();
+
+    assert.deepEqual([...byType].map(strings), [
+        { name: 'Forestry Carbon', tokens: 1, trades: 2, credits: '400', volume: (55n * ETH / 10n).toString(), vwap: (55n * ETH / 4000n).toString() },
+        { name: 'Renewable Energy', tokens: 1, trades: 1, credits: '50', volume: ETH.toString(), vwap: (ETH / 50n).toString() },
+        { name: 'Unknown', tokens: 1, trades: 0, credits: '0', volume: '0', vwap: null }
+    ]);
+});
+
+test('the province breakdown matches credit type locations', async () => {
+    const { byProvince } = await analytics();
+
+    assert.deepEqual([...byProvince].map(group => [group.name, group.tokens, group.credits.toString()]), [
+        ['Western Cape', 1, '400'],
+        ['Northern Cape', 1, '50'],
+        ['Unknown', 1, '0']
+    ]);
+});
@@ -0,0 +1,165 @@
+// Browser Context for Frontend Tests
+//
+// The frontend is a set of ES modules, so tests link them into a vm context
+// the way the page's module graph would be. Modules a test doesn't exercise
+// can be replaced by stubs, and only the parts of the DOM and ethers the
+// renderers touch are faked. Needs node --experimental-vm-modules.
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+
+export const FRONTEND_JS = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'js');
+
+// Minimal BigNumber stand-in backed by BigInt
+export function bn(value) {
+    const n = BigInt(value.toString());
+    return {
+        _isBigNumber: true,
+        toString: () => n.toString(),
+        toNumber: () => Number(n),
+        isZero: () => n === 0n,
+        eq: other => n === BigInt(other.toString()),
+        lt: other => n < BigInt(other.toString()),
+        gt: other => n > BigInt(other.toString()),
+        gte: other => n >= BigInt(other.toString()),
+        add: other => bn(n + BigInt(other.toString())),
+        mul: other => bn(n * BigInt(other.toString())),
+        div: other => bn(n / BigInt(other.toString()))
+    };
+}
+
+const fakeEthers = {
+    BigNumber: { from: bn },
+    constants: {
+        AddressZero: `0x${'0'.repeat(40)}`,
+        HashZero: `0x${'0'.repeat(64)}`,
+        Zero: bn(0)
+    },
+    utils: {
+        // Only constructed for the revert decoder in transactions.js
+        Interface: function Interface(fragments) { this.fragments = fragments; this.errors = {}; },
+        isAddress: value => /^0x[0-9a-fA-F]{40}$/.test(value),
+        id: text => `0x${Buffer.from(text).toString('hex').padEnd(64, '0')}`,
+        formatEther: value => {
+            const wei = BigInt(value.toString());
+            const fraction = (wei % 10n ** 18n).toString().padStart(18, '0').replace(/0+$/, '');
+            return `${wei / 10n ** 18n}.${fraction || '0'}`;
+        }
+    }
+};
+
+// Elements are created on first lookup and keep whatever the modules write to them
+function createDocument() {
+    const elements = {};
+    return {
+        elements,
+        getElementById(id) {
+            if (!elements[id]) {
+                const classes = new Set();
+                elements[id] = {
+                    id,
+                    innerHTML: '',
+                    textContent: '',
+                    value: '',
+                    disabled: false,
+                    classList: {
+                        add: name => classes.add(name),
+                        remove: name => classes.delete(name),
+                        toggle: (name, force) => ((force ?? !classes.has(name)) ? classes.add(name) : classes.delete(name)),
+                        contains: name => classes.has(name)
+                    }
+                };
+            }
+            return elements[id];
+        },
+        querySelector: () => null,
+        querySelectorAll: () => []
+    };
+}
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+// Names a module exports, so a stub can stand in for every import of it
+function exportNames(filename) {
+    const source = fs.readFileSync(filename, 'utf8');
+    const names = [];
+    for (const [, declared] of source.matchAll(/^export (?:async function\*? |function\*? |class |const |let )([^=;({]+)/gm)) {
+        names.push(...declared.split(',').map(name => name.trim()));
+    }
+    return names;
+}
+
+// Links frontend modules into `context` on demand. `stubs` maps a module file
+// to the exports that replace it; exports a stub leaves out are undefined.
+export function createModuleLoader(context, stubs = {}) {
+    const modules = new Map();
+
+    function moduleFor(filename) {
+        if (modules.has(filename)) return modules.get(filename);
+
+        const file = path.relative(FRONTEND_JS, filename);
+        let module;
+        if (stubs[file]) {
+            const names = [...new Set([...exportNames(filename), ...Object.keys(stubs[file])])];
+            module = new vm.SyntheticModule(names, function () {
+                names.forEach(name => this.setExport(name, stubs[file][name]));
+            }, { context, identifier: filename });
+        } else {
+            module = new vm.SourceTextModule(fs.readFileSync(filename, 'utf8'), { context, identifier: filename });
+        }
+
+        modules.set(filename, module);
+        return module;
+    }
+
+    const linker = (specifier, referencing) => moduleFor(path.resolve(path.dirname(referencing.identifier), specifier));
+
+    return {
+        async import(file) {
+            const module = moduleFor(path.join(FRONTEND_JS, file));
+            if (module.status === 'unlinked') await module.link(linker);
+            await module.evaluate();
+            return module.namespace;
+        },
+        // Replaces a stubbed export, which importers see straight away
+        setStub(file, values) {
+            const module = moduleFor(path.join(FRONTEND_JS, file));
+            Object.entries(values).forEach(([name, value]) => {
+                stubs[file][name] = value;
+                if (module.status !== 'unlinked' && module.status !== 'linking') module.setExport(name, value);
+            });
+        }
+    };
+}
+
+// Loads frontend modules against a faked document, storage and ethers.
+// `globals` adds to or overrides what the page would provide.
+export function loadFrontend(stubs = {}, globals = {}) {
+    const document = createDocument();
+    const context = vm.createContext({
+        console,
+        URL,
+        URLSearchParams,
+        document,
+        window: { location: { pathname: '/', search: '', hash: '' } },
+        history: { replaceState: () => {} },
+        localStorage: createStorage(),
+        ethers: fakeEthers,
+        fetch: () => Promise.reject(new Error('Network access is disabled in tests')),
+        // Toasts and live refreshes only schedule UI work, which tests never wait for
+        setTimeout: () => 0,
+        clearTimeout: () => {},
+        ...globals
+    });
+
+    return { document, context, ...createModuleLoader(context, stubs) };
+}
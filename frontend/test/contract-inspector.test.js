@@ -0,0 +1,178 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { bn, loadFrontend } from './browser-context.js';
+
+const ADMIN = '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1';
+const AUDITOR = '0xFFcf8FDEE72ac11b5c542428B35EEF5769C409f0';
+const OTHER = '0x22d491Bde2303f2f43325b2108D26f1eAbA1e32b';
+
+let logIndex = 0;
+function log(event, args, blockNumber) {
+    return { event, args, blockNumber, logIndex: logIndex++, transactionHash: `0x${String(blockNumber).padStart(64, '0')}` };
+}
+
+async function setup(logs, provider = null) {
+    const browser = loadFrontend({
+        'indexer.js': {
+            indexerScopes: {
+                CarbonCredit: { logs: logs.CarbonCredit || [] },
+                ProjectRegistry: { logs: logs.ProjectRegistry || [] },
+                Marketplace: { logs: logs.Marketplace || [] }
+            },
+            indexedBlocks: { 1: 1767225600, 2: 1767225612, 3: 1767225624 },
+            getIndexedEvents: (contractName, eventName) => (logs[contractName] || []).filter(entry => entry.event === eventName)
+        },
+        'web3.js': { walletConnected: false, userAddress: null, provider }
+    });
+    const { CONFIG, ROLES } = await browser.import('config.js');
+    CONFIG.CONTRACTS = {
+        CarbonCredit: '0x37A3A1B31bBaee86e8E307240BFB4d1e7f227a57',
+        ProjectRegistry: '0x472fE102833fab6D06d8391fbe2a544Aa10257Cf',
+        Marketplace: '0x1d53f45A37EB832E8C1e951dd1cA03355Ed40064'
+    };
+    return { ...browser, ROLES, ...(await browser.import('contract-inspector.js')) };
+}
+
+// Role IDs as the modules compute them with the fake ethers
+const { ROLES } = await setup({});
+
+function registryLogs() {
+    return {
+        ProjectRegistry: [
+            log('RoleGranted', { role: ROLES.DEFAULT_ADMIN, account: ADMIN, sender: ADMIN }, 1),
+            log('RoleGranted', { role: ROLES.AUDITOR, account: AUDITOR, sender: ADMIN }, 2),
+            log('RoleGranted', { role: ROLES.AUDITOR, account: OTHER, sender: ADMIN }, 2),
+            log('RoleRevoked', { role: ROLES.AUDITOR, account: AUDITOR.toLowerCase(), sender: ADMIN }, 3)
+        ]
+    };
+}
+
+test('role holders are replayed from grant and revoke events', async () => {
+    const { roleHolders } = await setup(registryLogs());
+    const holders = roleHolders('ProjectRegistry');
+
+    assert.deepEqual([...holders[ROLES.DEFAULT_ADMIN]], [ADMIN]);
+    assert.deepEqual([...holders[ROLES.AUDITOR]], [OTHER]);
+    assert.deepEqual({ ...roleHolders('Marketplace') }, {});
+});
+
+test('admin actions describe the change as a before/after diff', async () => {
+    const { buildAdminAction } = await setup({});
+    const state = {
+        paused: false,
+        holders: { [ROLES.ADMIN]: [ADMIN] },
+        protocolFeePercent: bn(25),
+        feeRecipient: ADMIN
+    };
+
+    const pause = buildAdminAction('Marketplace', 'pause', {}, state);
+    assert.deepEqual({ ...pause.changes[0] }, { field: 'paused()', before: 'false', after: 'true' });
+    assert.equal(pause.args.length, 0);
+
+    const fee = buildAdminAction('Marketplace', 'updateProtocolFee', { fee: '40' }, state);
+    assert.deepEqual([...fee.args], ['40']);
+    assert.deepEqual({ ...fee.changes[0] }, { field: 'protocolFeePercent()', before: '25 (2.5%)', after: '40 (4%)' });
+
+    const recipient = buildAdminAction('Marketplace', 'updateFeeRecipient', { recipient: OTHER }, state);
+    assert.deepEqual({ ...recipient.changes[0] }, { field: 'feeRecipient()', before: ADMIN, after: OTHER });
+
+    const grant = buildAdminAction('Marketplace', 'grantRole', { role: 'ADMIN', account: OTHER }, state);
+    assert.deepEqual([...grant.args], [ROLES.ADMIN, OTHER]);
+    assert.deepEqual({ ...grant.changes[0] }, { field: 'ADMIN_ROLE holders', before: '0x90F8...c9C1', after: '0x90F8...c9C1, 0x22d4...e32b' });
+});
+
+test('admin actions that would change nothing or revert are rejected', async () => {
+    const { buildAdminAction } = await setup({});
+    const state = { paused: true, holders: { [ROLES.ADMIN]: [ADMIN] }, protocolFeePercent: bn(25), feeRecipient: ADMIN };
+
+    [
+        ['pause', {}, /already paused/],
+        ['updateProtocolFee', { fee: '101' }, /from 0 to 100/],
+        ['updateProtocolFee', { fee: '2.5' }, /whole number/],
+        ['updateProtocolFee', { fee: '25' }, /already 25 \(2.5%\)/],
+        ['updateFeeRecipient', { recipient: 'not an address' }, /non-zero address/],
+        ['updateFeeRecipient', { recipient: `0x${'0'.repeat(40)}` }, /non-zero address/],
+        ['updateFeeRecipient', { recipient: ADMIN.toLowerCase() }, /already the fee recipient/],
+        ['grantRole', { role: 'ADMIN', account: ADMIN }, /already holds ADMIN_ROLE/],
+        ['grantRole', { role: 'AUDITOR', account: OTHER }, /Select a Marketplace role/],
+        ['revokeRole', { role: 'ADMIN', account: OTHER }, /does not hold ADMIN_ROLE/]
+    ].forEach(([method, input, message]) => {
+        assert.throws(() => buildAdminAction('Marketplace', method, input, state), message, `${method} ${JSON.stringify(input)}`);
+    });
+});
+
+test('revoking the last DEFAULT_ADMIN_ROLE holder is flagged', async () => {
+    const { buildAdminAction } = await setup({});
+    const state = { paused: false, holders: { [ROLES.DEFAULT_ADMIN]: [ADMIN] } };
+    const action = buildAdminAction('CarbonCredit', 'revokeRole', { role: 'DEFAULT_ADMIN', account: ADMIN }, state);
+
+    assert.equal(action.changes[0].after, 'None');
+    assert.match(action.warnings[0], /can never be granted or revoked again/);
+});
+
+test('admin controls are only rendered for role holders', async () => {
+    const { renderContractCard, setStub } = await setup({});
+    const state = { paused: false, holders: { [ROLES.DEFAULT_ADMIN]: [ADMIN], [ROLES.AUDITOR]: [OTHER] } };
+
+    setStub('web3.js', { walletConnected: true, userAddress: OTHER });
+    const auditorCard = String(renderContractCard('ProjectRegistry', state));
+    assert.match(auditorCard, /AUDITOR_ROLE/);
+    assert.doesNotMatch(auditorCard, /reviewAdminAction/);
+
+    setStub('web3.js', { userAddress: ADMIN });
+    const adminCard = String(renderContractCard('ProjectRegistry', state));
+    assert.match(adminCard, /reviewAdminAction\('ProjectRegistry', 'grantRole'\)/);
+    // Pausing the registry needs ADMIN_ROLE, which DEFAULT_ADMIN alone does not grant
+    assert.doesNotMatch(adminCard, /'pause'/);
+});
+
+test('the audit trail lists admin events newest first and escapes the metadata URI', async () => {
+    const logs = registryLogs();
+    logs.Marketplace = [
+        log('ProtocolFeeUpdated', { oldFee: bn(25), newFee: bn(40) }, 3),
+        log('Paused', { account: ADMIN }, 2),
+        log('ListingCreated', { listingId: bn(0) }, 2)
+    ];
+    const { document, adminAuditTrail, renderAdminAuditTrail, renderContractCard } = await setup(logs);
+
+    const entries = adminAuditTrail();
+    assert.equal(entries.length, 6);
+    assert.equal(entries[0].description, 'Protocol fee 25 (2.5%) → 40 (4%)');
+    assert.equal(entries[0].actor, null);
+    assert.equal(entries.at(-1).description, 'Granted DEFAULT_ADMIN_ROLE to 0x90F8...c9C1');
+
+    entries[0].actor = ADMIN;
+    renderAdminAuditTrail(entries);
+    assert.match(document.getElementById('adminAuditLog').innerHTML, /Revoked AUDITOR_ROLE from 0xffcf...09f0/);
+
+    const card = String(renderContractCard('CarbonCredit', { paused: false, holders: {}, uri: '<img src=x onerror=alert(1)>' }));
+    assert.doesNotMatch(card, /<img/);
+});
+
+test('fee change senders are looked up once, and a failed lookup shows as unknown', async () => {
+    const lookups = [];
+    const logs = {
+        Marketplace: [
+            log('ProtocolFeeUpdated', { oldFee: bn(25), newFee: bn(40) }, 2),
+            log('FeeRecipientUpdated', { oldRecipient: ADMIN, newRecipient: OTHER }, 3)
+        ]
+    };
+    const failing = logs.Marketplace[1].transactionHash;
+    const { document, adminAuditTrail, loadAuditActors, renderAdminAuditTrail } = await setup(logs, {
+        async getTransaction(hash) {
+            lookups.push(hash);
+            if (hash === failing) throw new Error('missing trie node');
+            return { from: ADMIN };
+        }
+    });
+
+    const entries = adminAuditTrail();
+    await loadAuditActors(entries);
+    assert.deepEqual([...entries].map(entry => entry.actor), [null, ADMIN]);
+    renderAdminAuditTrail(entries);
+    assert.match(document.getElementById('adminAuditLog').innerHTML, /Unknown/);
+
+    // The refresh reuses the known sender and only retries the failed lookup
+    await loadAuditActors(adminAuditTrail());
+    assert.deepEqual(lookups, [failing, logs.Marketplace[0].transactionHash, failing]);
+});
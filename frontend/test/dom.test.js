@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFrontend } from './browser-context.js';
+
+const { html, setHtml, safeUrl } = await loadFrontend().import('dom.js');
+
+test('html escapes interpolated values', () => {
+    const name = '<img src=x onerror=alert(1)>';
+    const markup = html`<h3 title="${'" onmouseover="alert(1)'}">${name}</h3>`.toString();
+
+    assert.equal(markup, '<h3 title="&quot; onmouseover=&quot;alert(1)">&lt;img src=x onerror=alert(1)&gt;</h3>');
+});
+
+test('html keeps nested templates and joins arrays without escaping them twice', () => {
+    const rows = ['<b>a</b>', 'b & c'].map(text => html`<li>${text}</li>`);
+
+    assert.equal(html`<ul>${rows}</ul>`.toString(), '<ul><li>&lt;b&gt;a&lt;/b&gt;</li><li>b &amp; c</li></ul>');
+});
+
+test('html renders null, undefined and false as nothing but keeps 0', () => {
+    assert.equal(html`${null}${undefined}${false}${0}`.toString(), '0');
+});
+
+test('setHtml writes templates and arrays of templates', () => {
+    const element = { innerHTML: '' };
+
+    setHtml(element, html`<p>${'<script>'}</p>`);
+    assert.equal(element.innerHTML, '<p>&lt;script&gt;</p>');
+
+    setHtml(element, [html`<i>1</i>`, html`<i>${'<2>'}</i>`]);
+    assert.equal(element.innerHTML, '<i>1</i><i>&lt;2&gt;</i>');
+});
+
+test('setHtml rejects plain strings and escapes strings inside arrays', () => {
+    const element = { innerHTML: 'unchanged' };
+
+    assert.throws(() => setHtml(element, '<img src=x onerror=alert(1)>'), /only accepts markup/);
+    assert.equal(element.innerHTML, 'unchanged');
+
+    setHtml(element, ['<b>row</b>']);
+    assert.equal(element.innerHTML, '&lt;b&gt;row&lt;/b&gt;');
+});
+
+test('safeUrl only allows http(s) URLs', () => {
+    assert.equal(safeUrl('https://ipfs.io/ipfs/QmHash'), 'https://ipfs.io/ipfs/QmHash');
+    assert.equal(safeUrl('  http://example.org/report.pdf '), 'http://example.org/report.pdf');
+
+    [
+        'javascript:alert(1)',
+        'JavaScript:alert(1)',
+        'java\tscript:alert(1)',
+        '\u0001javascript:alert(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'vbscript:msgbox(1)',
+        '//evil.example/x',
+        '/relative/path',
+        'ipfs://QmHash',
+        '',
+        null,
+        undefined
+    ].forEach(value => assert.equal(safeUrl(value), null, `${JSON.stringify(value)} should be rejected`));
+});
+
+test('safeUrl encodes characters that would break out of an attribute', () => {
+    assert.equal(safeUrl('https://example.org/"><script>'), 'https://example.org/%22%3E%3Cscript%3E');
+});
@@ -0,0 +1,155 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { anvilInstalled, deployContracts, rpc, startAnvil } from './local-chain.js';
+import { openPage, waitFor } from './page.js';
+
+const PROJECT_NAME = 'De Aar Solar Array';
+// CI sets REQUIRE_ANVIL=1 so a missing anvil fails the run instead of skipping it
+const REQUIRE_ANVIL = process.env.REQUIRE_ANVIL === '1';
+
+// Steps run in order against one chain and one page, switching wallet accounts between roles
+describe('credit lifecycle through the UI', { skip: !anvilInstalled && !REQUIRE_ANVIL && 'anvil is not installed' }, () => {
+    let anvil;
+    let chain;
+    let page;
+    let accounts;
+
+    const short = address => `${address.slice(0, 6)}...${address.slice(-4)}`;
+    const query = selector => page.document.querySelector(selector);
+
+    async function useAccount(address) {
+        page.wallet.switchAccount(address);
+        await waitFor(() => page.text('walletText') === short(address), `wallet to reconnect as ${address}`);
+    }
+
+    before(async () => {
+        if (!anvilInstalled) throw new Error('REQUIRE_ANVIL is set but anvil is not on the PATH');
+
+        anvil = await startAnvil();
+        const [, owner, auditor, buyer] = (await rpc(anvil.url, 'eth_accounts')).map(ethers.utils.getAddress);
+        accounts = { owner, auditor, buyer };
+        chain = await deployContracts(anvil.url, accounts);
+
+        page = await openPage({ url: anvil.url, receipts: chain.receipts, account: owner });
+        await waitFor(() => page.text('contractStatus') === 'CONNECTED', 'the wallet to connect');
+    });
+
+    after(async () => {
+        if (page) await page.close();
+        if (anvil) await anvil.stop();
+    });
+
+    test('the page reads the deployment from the broadcast files', async () => {
+        assert.equal(page.text('networkBadge'), 'Anvil Local');
+        assert.equal(page.text('walletText'), short(accounts.owner));
+        assert.equal(page.text('addressMarketplace'), short(chain.contracts.Marketplace.address));
+
+        const { CONFIG } = await page.import('config.js');
+        assert.deepEqual({ ...CONFIG.DEPLOYMENT_BLOCKS }, Object.fromEntries(
+            Object.entries(chain.receipts).map(([name, receipt]) => [name, receipt.blockNumber])
+        ));
+    });
+
+    test('the owner registers a project with metadata pinned to IPFS', async () => {
+        page.document.querySelector('input[name="projectStandards"][value="VCS"]').checked = true;
+        page.submit({
+            projectName: PROJECT_NAME,
+            projectLocation: 'De Aar',
+            projectProvince: 'NC',
+            projectType: '0',
+            projectDescription: 'A 75MW single-axis tracking solar PV plant.',
+            estimatedCredits: '120000',
+            projectCapacity: '75',
+            projectLatitude: '-30.6494',
+            projectLongitude: '24.0129',
+            projectMethodology: 'ACM0002'
+        }, '#registerSubmit');
+
+        await waitFor(() => page.text('projectsGrid').includes(PROJECT_NAME), 'the project card');
+
+        const project = await chain.contracts.ProjectRegistry.getProjectInfo(0);
+        assert.equal(project.projectOwner, accounts.owner);
+        assert.equal(project.location, 'De Aar, Northern Cape');
+        assert.equal(project.status, 0);
+
+        const cid = project.verificationDocuments.replace('ipfs://', '');
+        const metadata = JSON.parse(page.pinned.get(cid));
+        assert.equal(metadata.schema, 'vericarbon-project-metadata/1');
+        assert.equal(metadata.location.provinceCode, 'NC');
+        assert.equal(page.document.getElementById('projectName').value, '');
+    });
+
+    test('the auditor approves it from the verification queue', async () => {
+        await useAccount(accounts.auditor);
+        await waitFor(() => query('button[onclick="approveProject(0)"]'), 'the approve button');
+        page.submit({}, 'button[onclick="approveProject(0)"]');
+
+        await waitFor(() => page.text('pendingCount') === '0', 'the queue to empty');
+        assert.equal((await chain.contracts.ProjectRegistry.getProjectInfo(0)).status, 1);
+        await waitFor(() => page.text('projectsGrid').includes('Approved'), 'the card to show the new status');
+    });
+
+    test('the owner mints a credit type and the verifier verifies it', async () => {
+        await useAccount(accounts.owner);
+        await waitFor(() => query('#mintSupply-0'), 'the mint form');
+        page.submit({ 'mintSupply-0': '1000' }, 'button[onclick="mintProjectCredits(0)"]');
+
+        await waitFor(() => query('#mintedTokens-0') && page.text('mintedTokens-0').includes('#0 • 1000 tCO₂'), 'the minted token');
+        assert.equal((await chain.contracts.CarbonCredit.balanceOf(accounts.owner, 0)).toString(), '1000');
+
+        await useAccount(accounts.auditor);
+        await waitFor(() => query('button[onclick="verifyCreditType(0)"]'), 'the verify button');
+        page.submit({}, 'button[onclick="verifyCreditType(0)"]');
+
+        await waitFor(() => !query('button[onclick="verifyCreditType(0)"]'), 'the credit type to leave the queue');
+        assert.equal((await chain.contracts.CarbonCredit.getCreditTypeInfo(0)).isVerified, true);
+    });
+
+    test('the owner lists credits through the sell wizard', async () => {
+        await useAccount(accounts.owner);
+        await waitFor(() => {
+            const option = query('#sellToken option[value="0"]');
+            return option && !option.textContent.includes('unverified');
+        }, 'the verified holding in the sell form');
+        page.submit({ sellToken: '0', sellAmount: '400', sellPrice: '0.01' }, '#sellSubmit');
+
+        await waitFor(() => page.text('listingsGrid').includes('Your listing'), 'the listing in the order book');
+        const listing = await chain.contracts.Marketplace.getListing(0);
+        assert.equal(listing.seller, accounts.owner);
+        assert.equal(listing.amount.toString(), '400');
+        assert.equal(await chain.contracts.CarbonCredit.isApprovedForAll(accounts.owner, chain.contracts.Marketplace.address), true);
+        assert.match(page.text('sellSteps'), /Marketplace approved as operator/);
+    });
+
+    test('a buyer buys part of the listing', async () => {
+        await useAccount(accounts.buyer);
+        await waitFor(() => query('#buyAmount-0'), 'the order book');
+        const ownerBalance = await chain.provider.getBalance(accounts.owner);
+        page.submit({ 'buyAmount-0': '150' }, 'button[onclick="buyListing(0)"]');
+
+        await waitFor(() => query('#retireAmount-0'), 'the holding in the portfolio');
+        assert.equal((await chain.contracts.CarbonCredit.balanceOf(accounts.buyer, 0)).toString(), '150');
+        assert.equal((await chain.contracts.Marketplace.getListing(0)).amount.toString(), '250');
+
+        // 150 credits at 0.01 ETH, less the 2.5% protocol fee
+        const proceeds = (await chain.provider.getBalance(accounts.owner)).sub(ownerBalance);
+        assert.equal(ethers.utils.formatEther(proceeds), '1.4625');
+    });
+
+    test('the buyer retires credits and gets a certificate', async () => {
+        page.submit({ 'retireAmount-0': '50' }, 'button[onclick="retireHolding(0)"]');
+
+        await waitFor(() => !page.document.getElementById('certificateModal').classList.contains('hidden'), 'the certificate');
+        assert.match(page.text('certificateBody'), /50 tCO₂e/);
+        assert.match(page.text('certificateBody'), new RegExp(PROJECT_NAME));
+
+        assert.equal((await chain.contracts.CarbonCredit.balanceOf(accounts.buyer, 0)).toString(), '100');
+        const [retired] = await chain.contracts.CarbonCredit.queryFilter(chain.contracts.CarbonCredit.filters.CreditRetired(0, accounts.buyer));
+        assert.equal(retired.args.amount.toString(), '50');
+    });
+
+    test('nothing was logged as an error along the way', () => {
+        assert.deepEqual(page.errors, []);
+    });
+});
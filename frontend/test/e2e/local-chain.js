@@ -0,0 +1,104 @@
+// Local Anvil Chain for End-to-End Tests
+//
+// Starts a throwaway Anvil node and deploys the contracts from the Foundry
+// artifacts in out/, so nothing but `forge build` and `anvil` is needed.
+
+import { spawn, spawnSync } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', '..');
+const ANVIL_STARTUP_MS = 15000;
+
+export const anvilInstalled = spawnSync('anvil', ['--version'], { stdio: 'ignore' }).status === 0;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+export async function rpc(url, method, params = []) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+    });
+    const { result, error } = await response.json();
+    if (error) throw Object.assign(new Error(error.message), { code: error.code, data: error.data });
+    return result;
+}
+
+export async function startAnvil() {
+    const port = await freePort();
+    const url = `http://127.0.0.1:${port}`;
+    const child = spawn('anvil', ['--port', String(port), '--chain-id', '31337', '--silent'], { stdio: 'ignore' });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    const stop = async () => {
+        if (child.exitCode === null) child.kill();
+        await exited;
+    };
+
+    const started = Date.now();
+    for (;;) {
+        try {
+            await rpc(url, 'eth_chainId');
+            return { url, stop };
+        } catch (err) {
+            if (child.exitCode !== null || Date.now() - started > ANVIL_STARTUP_MS) {
+                await stop();
+                throw new Error(`Anvil did not start on port ${port}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+}
+
+function artifact(name) {
+    const file = path.join(ROOT, 'out', `${name}.sol`, `${name}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Missing artifact ${path.relative(ROOT, file)} - run forge build first`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+async function deploy(signer, name, args = []) {
+    const { abi, bytecode } = artifact(name);
+    const contract = await new ethers.ContractFactory(abi, bytecode.object, signer).deploy(...args);
+    return contract.deployed();
+}
+
+// Deploys as accounts[0] and grants the roles the UI flow needs:
+// PROJECT_ROLE to the project owner, AUDITOR_ROLE and VERIFIER_ROLE to the auditor
+export async function deployContracts(url, { owner, auditor }) {
+    const provider = new ethers.providers.JsonRpcProvider(url, 31337);
+    const [deployer] = await provider.listAccounts();
+    const signer = provider.getSigner(deployer);
+
+    const carbonCredit = await deploy(signer, 'CarbonCredit');
+    const projectRegistry = await deploy(signer, 'ProjectRegistry');
+    const marketplace = await deploy(signer, 'Marketplace', [carbonCredit.address, deployer]);
+
+    await (await carbonCredit.grantRole(await carbonCredit.PROJECT_ROLE(), owner)).wait();
+    await (await carbonCredit.grantRole(await carbonCredit.VERIFIER_ROLE(), auditor)).wait();
+    await (await projectRegistry.grantRole(await projectRegistry.AUDITOR_ROLE(), auditor)).wait();
+
+    const contracts = { CarbonCredit: carbonCredit, ProjectRegistry: projectRegistry, Marketplace: marketplace };
+    const receipts = await Promise.all(Object.values(contracts).map(contract => contract.deployTransaction.wait()));
+
+    return {
+        provider,
+        contracts,
+        // Receipts as Foundry records them in the broadcast output
+        receipts: Object.fromEntries(Object.keys(contracts).map((name, i) => [name, receipts[i]]))
+    };
+}
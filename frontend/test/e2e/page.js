@@ -0,0 +1,206 @@
+// Frontend Page for End-to-End Tests
+//
+// Loads index.html into jsdom, injects a mock EIP-1193 wallet that forwards to
+// the local chain, and links the real modules into the page. The page's fetch
+// only answers for the Foundry broadcast files and an in-memory IPFS node, so
+// a run never leaves the machine.
+
+import { createHash } from 'crypto';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { ethers } from 'ethers';
+import { FRONTEND_JS, createModuleLoader } from '../browser-context.js';
+import { rpc } from './local-chain.js';
+
+const INDEX_HTML = path.join(FRONTEND_JS, '..', 'index.html');
+const PAGE_URL = 'http://localhost/frontend/index.html';
+const IPFS_API = 'http://127.0.0.1:5001';
+const IPFS_GATEWAY = 'https://ipfs.io/ipfs/';
+const WAIT_TIMEOUT_MS = 30000;
+
+// Unlocked Anvil accounts sign on the node, so the wallet only has to pick one
+export function createWallet(url, account) {
+    const events = new EventEmitter();
+    let selected = account;
+    let inFlight = 0;
+
+    return {
+        async request({ method, params = [] }) {
+            switch (method) {
+                case 'eth_accounts':
+                case 'eth_requestAccounts':
+                    return [selected];
+                case 'wallet_switchEthereumChain':
+                    return null;
+                default:
+                    inFlight++;
+                    try {
+                        return await rpc(url, method, params);
+                    } finally {
+                        inFlight--;
+                    }
+            }
+        },
+        get inFlight() {
+            return inFlight;
+        },
+        on: (event, listener) => events.on(event, listener),
+        removeListener: (event, listener) => events.removeListener(event, listener),
+        // What the wallet does when the user picks another account
+        switchAccount(next) {
+            selected = next;
+            events.emit('accountsChanged', [next]);
+        }
+    };
+}
+
+function base32(bytes) {
+    const alphabet = 'abcdefghijklmnopqrstuvwxyz234567';
+    let output = '';
+    let value = 0;
+    let bits = 0;
+    for (const byte of bytes) {
+        value = ((value << 8) | byte) & 0xfff;
+        bits += 8;
+        while (bits >= 5) {
+            output += alphabet[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    return bits > 0 ? output + alphabet[(value << (5 - bits)) & 31] : output;
+}
+
+// CIDv1 of a raw block, as Kubo returns for a small file added with cid-version=1
+export function rawCid(content) {
+    const digest = createHash('sha256').update(content).digest();
+    return `b${base32(Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), digest]))}`;
+}
+
+function readBlob(window, blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new window.FileReader();
+        reader.onload = () => resolve(Buffer.from(reader.result));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(blob);
+    });
+}
+
+// Foundry broadcast output for the three deploy scripts
+function broadcastFiles(receipts) {
+    const run = contractName => ({
+        transactions: [{
+            hash: receipts[contractName].transactionHash,
+            transactionType: 'CREATE',
+            contractName,
+            contractAddress: receipts[contractName].contractAddress
+        }],
+        receipts: [{
+            transactionHash: receipts[contractName].transactionHash,
+            blockNumber: ethers.utils.hexValue(receipts[contractName].blockNumber),
+            contractAddress: receipts[contractName].contractAddress
+        }]
+    });
+
+    return {
+        '/broadcast/Deploy.s.sol/31337/run-latest.json': run('CarbonCredit'),
+        '/broadcast/DeployProjectRegistry.s.sol/31337/run-latest.json': run('ProjectRegistry'),
+        '/broadcast/DeployMarketplace.s.sol/31337/run-latest.json': run('Marketplace')
+    };
+}
+
+function createOfflineFetch(window, files, pinned) {
+    return async (input, init = {}) => {
+        const url = new URL(String(input), window.location.href);
+
+        if (url.origin === IPFS_API && url.pathname === '/api/v0/add') {
+            const file = init.body.get('file');
+            const content = await readBlob(window, file);
+            const cid = rawCid(content);
+            pinned.set(cid, content);
+            return Response.json({ Name: file.name, Hash: cid, Size: String(content.length) });
+        }
+
+        if (url.href.startsWith(IPFS_GATEWAY) && pinned.has(url.href.slice(IPFS_GATEWAY.length))) {
+            return new Response(pinned.get(url.href.slice(IPFS_GATEWAY.length)));
+        }
+
+        if (url.origin === window.location.origin) {
+            return files[url.pathname] ? Response.json(files[url.pathname]) : new Response('Not found', { status: 404 });
+        }
+
+        throw new TypeError(`Network access is disabled in end-to-end tests (${url.href})`);
+    };
+}
+
+export async function openPage({ url, receipts, account }) {
+    const wallet = createWallet(url, account);
+    // Content pinned through the IPFS API, by CID
+    const pinned = new Map();
+
+    // console.error from the modules and jsdom's own errors are collected so a test can assert there were none
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('error', (...args) => errors.push(args.map(String).join(' ')));
+    virtualConsole.on('jsdomError', err => errors.push(err.message));
+
+    const dom = new JSDOM(fs.readFileSync(INDEX_HTML, 'utf8'), {
+        url: PAGE_URL,
+        // Lets the inline on* handlers run; external scripts are never fetched
+        runScripts: 'dangerously',
+        virtualConsole,
+        beforeParse(window) {
+            window.ethers = ethers;
+            window.ethereum = wallet;
+            window.fetch = createOfflineFetch(window, broadcastFiles(receipts), pinned);
+            window.localStorage.setItem('vericarbon-network', '31337');
+        }
+    });
+
+    const loader = createModuleLoader(dom.getInternalVMContext());
+    await loader.import('main.js');
+
+    const { window } = dom;
+    const { document } = window;
+
+    return {
+        window,
+        document,
+        wallet,
+        pinned,
+        errors,
+        import: loader.import,
+        text: id => document.getElementById(id).textContent,
+        // Types into the inputs and clicks in one go, so a re-render can't drop the values
+        submit(values, selector) {
+            Object.entries(values).forEach(([id, value]) => {
+                document.getElementById(id).value = value;
+            });
+            const button = document.querySelector(selector);
+            if (!button) throw new Error(`No ${selector} on the page`);
+            button.click();
+        },
+        async close() {
+            const { unsubscribeFromContractEvents } = await loader.import('live-updates.js');
+            const { provider } = await loader.import('web3.js');
+            unsubscribeFromContractEvents();
+            // Let refreshes still talking to the node render before the document goes away
+            await waitFor(() => wallet.inFlight === 0, 'pending wallet requests');
+            await new Promise(resolve => setTimeout(resolve, 200));
+            // The provider comes from Node's ethers, so its timers outlive the window
+            if (provider) provider.polling = false;
+            window.close();
+        }
+    };
+}
+
+export async function waitFor(check, description, timeout = WAIT_TIMEOUT_MS) {
+    const started = Date.now();
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() - started > timeout) throw new Error(`Timed out waiting for ${description}`);
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
@@ -0,0 +1,177 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { bn, loadFrontend } from './browser-context.js';
+
+const OWNER = '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1';
+const OTHER = '0xFFcf8FDEE72ac11b5c542428B35EEF5769C409f0';
+const BUYER = '0x22d491Bde2303f2f43325b2108D26f1eAbA1e32b';
+const ETH = 10n ** 18n;
+
+const at = iso => Date.parse(iso) / 1000;
+const hash = n => `0x${n.toString(16).padStart(64, '0')}`;
+
+const BLOCKS = {
+    10: at('2026-01-10T12:00:00Z'),
+    20: at('2026-02-10T23:30:00Z'),
+    21: at('2026-02-11T08:00:00Z'),
+    30: at('2026-03-01T08:00:00Z')
+};
+
+function project(id, fields) {
+    return {
+        projectId: bn(id),
+        projectType: 0,
+        status: 0,
+        description: '',
+        estimatedAnnualCredits: bn(1000),
+        approvalDate: bn(0),
+        verificationDocuments: '',
+        ...fields
+    };
+}
+
+const PROJECTS = [
+    project(0, { projectName: 'Upington CSP', location: 'Upington', projectOwner: OWNER, status: 1, registrationDate: bn(at('2026-01-05T00:00:00Z')), approvalDate: bn(at('2026-01-06T00:00:00Z')) }),
+    project(1, { projectName: 'Dorper Wind Farm', location: 'Molteno', projectOwner: OTHER, projectType: 1, registrationDate: bn(at('2026-02-01T00:00:00Z')) })
+];
+
+const CREDIT_TYPES = {
+    0: { tokenId: bn(0), projectName: 'Upington CSP', location: 'Upington' },
+    1: { tokenId: bn(1), projectName: 'Dorper Wind Farm', location: 'Molteno' }
+};
+
+const EVENTS = {
+    ProjectRegistry: {
+        ProjectRegistered: [
+            { blockNumber: 2, transactionHash: hash(2), args: { projectId: bn(0) } },
+            { blockNumber: 3, transactionHash: hash(3), args: { projectId: bn(1) } }
+        ],
+        ProjectStatusChanged: [
+            { blockNumber: 4, transactionHash: hash(4), args: { projectId: bn(0) } }
+        ]
+    },
+    Marketplace: {
+        ListingCreated: [
+            { blockNumber: 10, transactionHash: hash(10), args: { listingId: bn(0), tokenId: bn(0), seller: OWNER, amount: bn(100), pricePerCredit: bn(ETH / 100n) } },
+            { blockNumber: 20, transactionHash: hash(20), args: { listingId: bn(1), tokenId: bn(1), seller: OTHER, amount: bn(40), pricePerCredit: bn(ETH / 50n) } }
+        ],
+        CreditsPurchased: [
+            { blockNumber: 21, transactionHash: hash(21), args: { listingId: bn(1), tokenId: bn(1), buyer: BUYER, seller: OTHER, amount: bn(40), totalPrice: bn(8n * ETH / 10n), protocolFee: bn(ETH / 50n) } }
+        ]
+    },
+    CarbonCredit: {
+        CreditRetired: [
+            { blockNumber: 30, transactionHash: hash(30), args: { tokenId: bn(1), retiree: BUYER, amount: bn(15) } }
+        ]
+    }
+};
+
+const LISTINGS = [
+    { listingId: bn(0), amount: bn(60), active: true },
+    { listingId: bn(1), amount: bn(0), active: false }
+];
+
+const NO_FILTERS = { from: null, to: null, address: null, tokenId: null };
+
+async function setup() {
+    const browser = loadFrontend({
+        'indexer.js': {
+            indexedBlocks: BLOCKS,
+            getIndexedProjects: () => PROJECTS,
+            getIndexedCreditTypes: () => CREDIT_TYPES,
+            getIndexedListings: () => LISTINGS,
+            getIndexedEvents: (contract, event) => (EVENTS[contract] && EVENTS[contract][event]) || [],
+            getBlockTimestamp: async blockNumber => BLOCKS[blockNumber]
+        }
+    });
+    return {
+        document: browser.document,
+        ...(await browser.import('exports.js')),
+        toCsv: (await browser.import('ui.js')).toCsv
+    };
+}
+
+test('rows carry the block and transaction they were recorded in', async () => {
+    const { exportDataset } = await setup();
+
+    const [upington] = await exportDataset('projects', NO_FILTERS);
+    assert.equal(upington.tokenIds, '0');
+    assert.equal(upington.statusName, 'Approved');
+    assert.equal(upington.registrationDate, '2026-01-05T00:00:00.000Z');
+    assert.deepEqual([upington.blockNumber, upington.transactionHash, upington.statusBlockNumber, upington.statusTransactionHash], [2, hash(2), 4, hash(4)]);
+
+    const listings = await exportDataset('listings', NO_FILTERS);
+    assert.deepEqual(listings.map(row => [row.status, row.amountRemaining, row.pricePerCreditEth, row.blockNumber, row.transactionHash]), [
+        ['Active', '60', '0.01', 10, hash(10)],
+        ['Sold', '0', '0.02', 20, hash(20)]
+    ]);
+
+    const [purchase] = await exportDataset('purchases', NO_FILTERS);
+    assert.equal(purchase.purchasedAt, '2026-02-11T08:00:00.000Z');
+    assert.deepEqual([purchase.pricePerCreditEth, purchase.totalPriceEth, purchase.protocolFeeEth], ['0.02', '0.8', '0.02']);
+    assert.deepEqual([purchase.blockNumber, purchase.transactionHash], [21, hash(21)]);
+});
+
+test('the date range is whole UTC days with an inclusive end', async () => {
+    const { exportDataset } = await setup();
+    const listed = async (from, to) => (await exportDataset('listings', { ...NO_FILTERS, from, to })).map(row => row.listingId);
+
+    assert.deepEqual(await listed('2026-01-10', '2026-01-10'), ['0']);
+    // Listing 1 was created at 23:30 on the end date
+    assert.deepEqual(await listed('2026-01-11', '2026-02-10'), ['1']);
+    assert.deepEqual(await listed('2026-02-11', null), []);
+    assert.deepEqual(await listed(null, '2026-01-09'), []);
+});
+
+test('the address filter matches any party to a record, ignoring case', async () => {
+    const { exportDataset } = await setup();
+    const count = async (dataset, address) => (await exportDataset(dataset, { ...NO_FILTERS, address })).length;
+
+    assert.equal(await count('purchases', OTHER.toLowerCase()), 1);
+    assert.equal(await count('purchases', BUYER), 1);
+    assert.equal(await count('purchases', OWNER), 0);
+    assert.equal(await count('projects', OTHER), 1);
+    assert.equal(await count('retirements', BUYER), 1);
+});
+
+test('the token ID filter matches minted and traded tokens', async () => {
+    const { exportDataset } = await setup();
+    const ids = async (dataset, tokenId, column) => (await exportDataset(dataset, { ...NO_FILTERS, tokenId })).map(row => row[column]);
+
+    assert.deepEqual(await ids('projects', '1', 'projectId'), ['1']);
+    assert.deepEqual(await ids('listings', '0', 'listingId'), ['0']);
+    assert.deepEqual(await ids('retirements', '1', 'amount'), ['15']);
+    assert.deepEqual(await ids('retirements', '0', 'amount'), []);
+});
+
+test('filters are validated and normalized', async () => {
+    const { document, readExportFilters } = await setup();
+    const fill = values => Object.entries({ exportFrom: '', exportTo: '', exportAddress: '', exportTokenId: '', ...values })
+        .forEach(([id, value]) => { document.getElementById(id).value = value; });
+
+    fill({ exportTokenId: '007', exportFrom: '2026-01-01' });
+    assert.deepEqual({ ...readExportFilters() }, { from: '2026-01-01', to: null, address: null, tokenId: '7' });
+
+    fill({ exportAddress: '0x1234' });
+    assert.throws(readExportFilters, /not a valid address/);
+    fill({ exportTokenId: '1.5' });
+    assert.throws(readExportFilters, /whole number/);
+    fill({ exportFrom: '2026-02-01', exportTo: '2026-01-01' });
+    assert.throws(readExportFilters, /after the end date/);
+});
+
+test('CSV cells that a spreadsheet would evaluate are neutralized', async () => {
+    const { toCsv } = await setup();
+    const rows = [
+        { projectName: '=HYPERLINK("https://evil.example","Open")', location: '+27 Cape Town', description: '-1+1' },
+        { projectName: '@SUM(A1:A2)', location: '\tCape Town', description: '\r=1' },
+        { projectName: 'Karoo Solar, Phase 2', location: 'a = b', description: '' }
+    ];
+
+    assert.equal(toCsv(rows, ['projectName', 'location', 'description']), [
+        'projectName,location,description',
+        `"'=HYPERLINK(""https://evil.example"",""Open"")",'+27 Cape Town,'-1+1`,
+        `'@SUM(A1:A2),'\tCape Town,'\r=1`,
+        '"Karoo Solar, Phase 2",a = b,'
+    ].join('\n'));
+});
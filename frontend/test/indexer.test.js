@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { ABIS } from '../js/abis.generated.js';
+import { loadFrontend } from './browser-context.js';
+
+const CONTRACT_NAMES = ['ProjectRegistry', 'CarbonCredit', 'Marketplace'];
+const PAUSER = '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1';
+
+// A chain whose contracts each emitted a Paused event at the given blocks.
+// `beforeGetLogs` runs inside every eth_getLogs call, so a test can act mid-backfill.
+function fakeChain(latest, pausedAt, salt) {
+    const chain = { latest, pausedAt, calls: 0, beforeGetLogs: async () => {} };
+    const interfaces = {};
+
+    chain.contracts = Object.fromEntries(CONTRACT_NAMES.map((name, i) => {
+        const address = ethers.utils.getAddress(`0x${salt}${String(i).padStart(39, '0')}`);
+        interfaces[address] = new ethers.utils.Interface(ABIS[name]);
+        return [name, new ethers.Contract(address, ABIS[name])];
+    }));
+
+    chain.provider = {
+        getBlockNumber: async () => chain.latest,
+        async getLogs({ address, fromBlock, toBlock }) {
+            chain.calls++;
+            await chain.beforeGetLogs();
+
+            const iface = interfaces[address];
+            return chain.pausedAt
+                .filter(block => block >= fromBlock && block <= toBlock)
+                .map(block => ({
+                    ...iface.encodeEventLog(iface.getEvent('Paused'), [PAUSER]),
+                    address,
+                    blockNumber: block,
+                    transactionHash: ethers.utils.id(`${salt}:${address}:${block}`),
+                    logIndex: 0
+                }));
+        }
+    };
+    return chain;
+}
+
+async function setup(chain) {
+    const browser = loadFrontend({
+        'web3.js': { contracts: chain.contracts, provider: chain.provider }
+    }, { ethers });
+    const { CONFIG } = await browser.import('config.js');
+    CONFIG.DEPLOYMENT_BLOCKS = { ProjectRegistry: 0, CarbonCredit: 0, Marketplace: 0 };
+
+    return { browser, indexer: await browser.import('indexer.js') };
+}
+
+const pausedBlocks = indexer => CONTRACT_NAMES.map(name => [...indexer.getIndexedEvents(name, 'Paused')].map(log => log.blockNumber));
+
+test('switching chains mid-backfill stops the previous sync', async () => {
+    const sepolia = fakeChain(12000, [10, 9000], 'a');
+    const anvil = fakeChain(3000, [5], 'b');
+    const { browser, indexer } = await setup(sepolia);
+
+    await indexer.openIndexer(11155111);
+
+    // The wallet switches networks while the first chunk is in flight
+    sepolia.beforeGetLogs = async () => {
+        sepolia.beforeGetLogs = async () => {};
+        browser.setStub('web3.js', { contracts: anvil.contracts, provider: anvil.provider });
+        await indexer.openIndexer(31337);
+    };
+
+    assert.equal(await indexer.syncIndexer(), null);
+    assert.equal(sepolia.calls, 1);
+
+    await indexer.syncIndexer();
+    assert.deepEqual(pausedBlocks(indexer), [[5], [5], [5]]);
+    assert.deepEqual([...Object.values(indexer.indexerScopes)].map(scope => scope.lastBlock), [3000, 3000, 3000]);
+});
+
+test('the last blocks are fetched again so reorganized logs are replaced', async () => {
+    const chain = fakeChain(100, [40, 95], 'c');
+    const { indexer } = await setup(chain);
+
+    await indexer.openIndexer(31337);
+    await indexer.syncIndexer();
+    assert.deepEqual(pausedBlocks(indexer), [[40, 95], [40, 95], [40, 95]]);
+
+    // Block 95 was reorganized away and the event landed in block 97 instead
+    chain.pausedAt = [40, 97];
+    chain.latest = 101;
+    await indexer.syncIndexer();
+
+    assert.deepEqual(pausedBlocks(indexer), [[40, 97], [40, 97], [40, 97]]);
+});
@@ -0,0 +1,143 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { bn, loadFrontend } from './browser-context.js';
+
+const OWNER = '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1';
+
+function project(id, fields) {
+    return {
+        projectId: bn(id),
+        projectName: `Project ${id}`,
+        location: '',
+        projectType: 0,
+        status: 0,
+        projectOwner: OWNER,
+        description: '',
+        estimatedAnnualCredits: bn(1000),
+        registrationDate: bn(0),
+        approvalDate: bn(0),
+        verificationDocuments: '',
+        ...fields
+    };
+}
+
+const PROJECTS = [
+    project(0, { projectName: 'Upington CSP', location: 'Upington', status: 1, estimatedAnnualCredits: bn(90000) }),
+    project(1, { projectName: 'De Aar Wind', location: 'De Aar, Northern Cape' }),
+    project(2, { projectName: 'Karoo Solar', location: 'Northern Cape' }),
+    project(3, { projectName: '<img src=x onerror=alert(1)>', location: 'Atlantis' })
+];
+
+async function setup(globals = {}) {
+    const browser = loadFrontend({
+        'indexer.js': {
+            getIndexedProjects: () => PROJECTS,
+            getIndexedCreditTypes: () => ({
+                0: { tokenId: bn(0), projectName: 'Upington CSP', location: 'Upington', totalSupply: bn(500) },
+                1: { tokenId: bn(1), projectName: 'Dorper Wind Farm', location: 'Molteno, Eastern Cape', totalSupply: bn(1000) }
+            }),
+            getIndexedEvents: (contract, event) => (event === 'CreditRetired'
+                ? [{ args: { tokenId: bn(0), amount: bn(40) } }, { args: { tokenId: bn(1), amount: bn(5) } }]
+                : [])
+        }
+    }, globals);
+    return { document: browser.document, ...(await browser.import('infrastructure.js')) };
+}
+
+const METADATA = {
+    schema: 'vericarbon-project-metadata/1',
+    location: { provinceCode: 'NC', coordinates: { latitude: -28.45, longitude: 21.25 } }
+};
+
+test('metadata coordinates take precedence over the province centre', async () => {
+    const { placeProjects } = await setup();
+    const [placement] = placeProjects([PROJECTS[0]], { 0: METADATA });
+
+    assert.equal(placement.approximate, false);
+    assert.equal(placement.province.code, 'NC');
+    assert.deepEqual([...placement.coordinates], [21.25, -28.45]);
+});
+
+test('coordinates outside South Africa fall back to the province', async () => {
+    const { placeProjects } = await setup();
+    const metadata = { ...METADATA, location: { provinceCode: 'NC', coordinates: { latitude: 51.5, longitude: -0.12 } } };
+    const [placement] = placeProjects([PROJECTS[0]], { 0: metadata });
+
+    assert.equal(placement.approximate, true);
+    assert.equal(placement.province.code, 'NC');
+});
+
+test('projects sharing a province are spread apart and unknown locations are unplaced', async () => {
+    const { placeProjects } = await setup();
+    const placements = placeProjects(PROJECTS, {});
+    const points = placements.filter(placement => placement.coordinates).map(placement => placement.coordinates.join(','));
+
+    assert.deepEqual(placements.map(placement => placement.province && placement.province.code), ['NC', 'NC', 'NC', null]);
+    assert.equal(new Set(points).size, 3);
+    assert.equal(placements[3].coordinates, null);
+});
+
+test('province aggregates count projects, issued and retired credits', async () => {
+    const { computeProvinceAggregates, placeProjects } = await setup();
+    const aggregates = computeProvinceAggregates(placeProjects(PROJECTS, {}));
+
+    assert.equal(aggregates.NC.projects, 3);
+    assert.equal(aggregates.NC.issued.toString(), '500');
+    assert.equal(aggregates.NC.retired.toString(), '40');
+    // Minted without a registered project, so placed by the credit type's own location
+    assert.equal(aggregates.EC.projects, 0);
+    assert.equal(aggregates.EC.issued.toString(), '1000');
+    assert.equal(aggregates.EC.retired.toString(), '5');
+});
+
+test('the map links markers to projects and escapes project names', async () => {
+    const { document, renderInfrastructure } = await setup();
+
+    renderInfrastructure(PROJECTS, { 0: METADATA });
+    const markup = document.getElementById('infrastructureMap').innerHTML;
+
+    assert.equal([...markup.matchAll(/<circle /g)].length, 3);
+    assert.ok(markup.includes('href="#/project/0"'));
+    assert.doesNotMatch(markup, /<img/);
+    assert.equal(document.getElementById('infrastructureExact').textContent, 1);
+    assert.equal(document.getElementById('infrastructureApproximate').textContent, 2);
+    assert.equal(document.getElementById('infrastructureUnplaced').textContent, 1);
+    assert.match(document.getElementById('infrastructureProvinces').innerHTML, /Northern Cape/);
+});
+
+test('only ipfs:// metadata of the registration schema is used', async () => {
+    const { loadProjectMetadata } = await setup();
+
+    assert.equal(await loadProjectMetadata('https://example.org/report.pdf'), null);
+    assert.equal(await loadProjectMetadata('javascript:alert(1)'), null);
+    // Gateway fetches fail in tests, which must not break the map
+    assert.equal(await loadProjectMetadata('ipfs://QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG'), null);
+});
+
+test('a failed metadata lookup is retried after a minute, a successful one is kept', async () => {
+    let now = 0;
+    const requests = [];
+    const responses = [
+        () => Promise.reject(new Error('Gateway timeout')),
+        async () => ({ ok: true, headers: { get: () => null }, text: async () => JSON.stringify(METADATA) })
+    ];
+    const { loadProjectMetadata } = await setup({
+        Date: { now: () => now },
+        fetch: url => {
+            requests.push(url);
+            return responses[requests.length - 1]();
+        }
+    });
+    const uri = 'ipfs://QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+
+    assert.equal(await loadProjectMetadata(uri), null);
+    now = 30 * 1000;
+    assert.equal(await loadProjectMetadata(uri), null);
+    assert.equal(requests.length, 1);
+
+    now = 61 * 1000;
+    assert.equal((await loadProjectMetadata(uri)).schema, METADATA.schema);
+    now = 24 * 60 * 60 * 1000;
+    assert.equal((await loadProjectMetadata(uri)).schema, METADATA.schema);
+    assert.equal(requests.length, 2);
+});
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { bn, loadFrontend } from './browser-context.js';
+
+const USER = '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1';
+const OTHER = '0xFFcf8FDEE72ac11b5c542428B35EEF5769C409f0';
+const ADMIN = '0x22d491Bde2303f2f43325b2108D26f1eAbA1e32b';
+const ETH = 10n ** 18n;
+
+const EVENTS = {
+    ProjectRegistry: ['ProjectStatusChanged'],
+    CarbonCredit: ['TransferSingle'],
+    Marketplace: ['CreditsPurchased']
+};
+
+// Projects 0 and 1 belong to the user and someone else
+const PROJECTS = {
+    0: { projectName: 'Upington CSP', projectOwner: USER },
+    1: { projectName: 'Dorper Wind Farm', projectOwner: OTHER }
+};
+
+async function setup() {
+    const listeners = {};
+    const contracts = Object.fromEntries(Object.keys(EVENTS).map(name => [name, {
+        on: (eventName, listener) => { listeners[eventName] = listener; },
+        off: () => {}
+    }]));
+    const browser = loadFrontend({
+        'web3.js': { contracts, contractsReady: () => true, loadContractData: () => {}, userAddress: USER.toLowerCase() },
+        'indexer.js': { INDEXED_EVENTS: EVENTS, indexedProjects: PROJECTS }
+    });
+    (await browser.import('live-updates.js')).subscribeToContractEvents();
+
+    // Returns the toast the event raised, or null
+    return (eventName, args) => {
+        const message = browser.document.getElementById('toastMessage');
+        message.textContent = '';
+        listeners[eventName]({ args });
+        return message.textContent || null;
+    };
+}
+
+test('purchases are announced to both the buyer and the seller', async () => {
+    const emit = await setup();
+    const purchase = { listingId: bn(3), tokenId: bn(0), amount: bn(20), totalPrice: bn(ETH / 5n) };
+
+    assert.equal(emit('CreditsPurchased', { ...purchase, buyer: USER, seller: OTHER }), 'Bought 20 credits from listing #3 for 0.2 ETH');
+    assert.equal(emit('CreditsPurchased', { ...purchase, buyer: OTHER, seller: USER }), '20 credits sold from listing #3 for 0.2 ETH');
+    assert.equal(emit('CreditsPurchased', { ...purchase, buyer: OTHER, seller: ADMIN }), null);
+});
+
+test('status changes are announced to the project owner and to whoever made them', async () => {
+    const emit = await setup();
+
+    assert.equal(emit('ProjectStatusChanged', { projectId: bn(0), newStatus: 1, changedBy: ADMIN }), 'Project "Upington CSP" is now Approved');
+    assert.equal(emit('ProjectStatusChanged', { projectId: bn(1), newStatus: 2, changedBy: USER }), 'Project "Dorper Wind Farm" is now Rejected');
+    assert.equal(emit('ProjectStatusChanged', { projectId: bn(1), newStatus: 1, changedBy: ADMIN }), null);
+});
+
+test('transfers are announced to the sender and the receiver, not the operator', async () => {
+    const emit = await setup();
+    const transfer = { operator: USER, id: bn(2), value: bn(15) };
+    const zero = `0x${'0'.repeat(40)}`;
+
+    assert.equal(emit('TransferSingle', { ...transfer, from: zero, to: USER }), 'Minted 15 credits of token #2');
+    assert.equal(emit('TransferSingle', { ...transfer, from: USER, to: OTHER }), 'Sent 15 credits of token #2 to 0xFFcf...09f0');
+    assert.equal(emit('TransferSingle', { ...transfer, from: OTHER, to: ADMIN }), null);
+});
@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFrontend } from './browser-context.js';
+
+const { validateRegistration, buildProjectMetadata } = await loadFrontend().import('registration.js');
+
+function form(overrides = {}) {
+    return {
+        projectName: 'De Aar Solar Array',
+        location: 'De Aar',
+        province: 'NC',
+        projectType: '0',
+        description: 'A 75MW single-axis tracking solar PV plant.',
+        estimatedCredits: '120000',
+        capacityMw: '75',
+        latitude: '-30.6494',
+        longitude: '24.0129',
+        methodology: 'ACM0002',
+        standards: ['VCS', 'Gold Standard'],
+        documents: [{ name: 'methodology.pdf', type: 'application/pdf', size: 1024 }],
+        ...overrides
+    };
+}
+
+test('valid registrations are normalized for the contract and metadata', () => {
+    const details = validateRegistration(form());
+
+    assert.equal(details.location, 'De Aar, Northern Cape');
+    assert.equal(details.province.code, 'NC');
+    assert.equal(details.projectType, 0);
+    assert.equal(details.estimatedCredits.toString(), '120000');
+    assert.equal(details.capacityMw, 75);
+    assert.deepEqual({ ...details.coordinates }, { latitude: -30.6494, longitude: 24.0129 });
+});
+
+test('locations that already name the selected province are kept as entered', () => {
+    assert.equal(validateRegistration(form({ location: 'Upington, Northern Cape' })).location, 'Upington, Northern Cape');
+    assert.equal(validateRegistration(form({ location: 'Kimberley' })).location, 'Kimberley');
+});
+
+test('capacity is optional', () => {
+    assert.equal(validateRegistration(form({ capacityMw: '' })).capacityMw, null);
+});
+
+test('invalid fields are rejected', () => {
+    [
+        [{ projectName: 'AB' }, /Project name must be 3–100 characters/],
+        [{ projectName: 'x'.repeat(101) }, /Project name/],
+        [{ location: '' }, /Location must be/],
+        [{ province: '' }, /Select the South African province/],
+        [{ province: 'XX' }, /Select the South African province/],
+        [{ location: 'Cape Town' }, /Location is in Western Cape, but Northern Cape is selected/],
+        [{ projectType: '9' }, /Select a project type/],
+        [{ description: 'Too short' }, /Description must be 20–2000 characters/],
+        [{ estimatedCredits: '0' }, /Estimated annual output must be between 1 and 10000000/],
+        [{ estimatedCredits: '10000001' }, /Estimated annual output must be between/],
+        [{ estimatedCredits: '12.5' }, /whole number/],
+        [{ estimatedCredits: '-5' }, /whole number/],
+        [{ capacityMw: '0' }, /Installed capacity must be between/],
+        [{ latitude: '51.5' }, /Latitude must be between -35 and -22/],
+        [{ latitude: '' }, /Latitude/],
+        [{ longitude: 'east' }, /Longitude must be between 16 and 33/],
+        [{ methodology: '' }, /Methodology must be/],
+        [{ standards: [] }, /Select at least one standard/],
+        [{ standards: ['Made Up'] }, /Unknown standard Made Up/],
+        [{ documents: [{ name: 'sensors.exe', size: 10 }] }, /sensors.exe is not a/],
+        [{ documents: [{ name: 'huge.pdf', size: 21 * 1024 * 1024 }] }, /huge.pdf is larger than 20 MB/],
+        [{ documents: Array.from({ length: 11 }, (_, i) => ({ name: `${i}.pdf`, size: 1 })) }, /at most 10 documents/]
+    ].forEach(([overrides, message]) => {
+        assert.throws(() => validateRegistration(form(overrides)), message, JSON.stringify(overrides));
+    });
+});
+
+test('metadata carries location, capacity, methodology, standards and documents', () => {
+    const details = validateRegistration(form());
+    const documents = [{ name: 'methodology.pdf', type: 'application/pdf', size: 1024, uri: 'ipfs://bafydoc' }];
+    const metadata = JSON.parse(JSON.stringify(buildProjectMetadata(details, documents, '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1')));
+
+    assert.equal(metadata.schema, 'vericarbon-project-metadata/1');
+    assert.equal(metadata.projectType, 'Renewable Energy');
+    assert.deepEqual(metadata.location, {
+        name: 'De Aar, Northern Cape',
+        province: 'Northern Cape',
+        provinceCode: 'NC',
+        coordinates: { latitude: -30.6494, longitude: 24.0129 }
+    });
+    assert.deepEqual(metadata.capacity, { value: 75, unit: 'MW' });
+    assert.equal(metadata.estimatedAnnualCredits, '120000');
+    assert.equal(metadata.methodology, 'ACM0002');
+    assert.deepEqual(metadata.standards, ['VCS', 'Gold Standard']);
+    assert.deepEqual(metadata.documents, documents);
+    assert.equal(metadata.registrant, '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1');
+});
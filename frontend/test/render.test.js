@@ -0,0 +1,234 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { bn, loadFrontend } from './browser-context.js';
+
+const OWNER = '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1';
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+
+// Anyone can register a project, so every string field is attacker-controlled
+const PAYLOADS = {
+    script: '<script>alert("name")</script>',
+    img: '<img src=x onerror=alert(1)>',
+    breakout: '"><svg onload=alert(1)>'
+};
+
+const MALICIOUS_DOCUMENTS = [
+    'javascript:alert(document.cookie)',
+    'java\tscript:alert(1)',
+    ' JAVASCRIPT:alert(1)',
+    'data:text/html,<script>alert(1)</script>',
+    'ipfs://javascript:alert(1)'
+];
+
+function maliciousProject(id, verificationDocuments, status = 0) {
+    return {
+        projectId: bn(id),
+        projectName: PAYLOADS.script,
+        location: PAYLOADS.img,
+        description: PAYLOADS.breakout,
+        verificationDocuments,
+        projectOwner: OWNER,
+        projectType: 0,
+        status,
+        estimatedAnnualCredits: bn(800),
+        registrationDate: bn(1767225600),
+        approvalDate: status === 1 ? bn(1767312000) : bn(0)
+    };
+}
+
+const PROJECTS = MALICIOUS_DOCUMENTS.map((uri, id) => maliciousProject(id, uri, id % 2));
+
+function maliciousCreditType(tokenId) {
+    return {
+        tokenId: bn(tokenId),
+        projectName: PAYLOADS.script,
+        location: PAYLOADS.img,
+        creditCategory: PAYLOADS.breakout,
+        totalSupply: bn(1000),
+        isVerified: false
+    };
+}
+
+async function setup() {
+    const listing = {
+        listingId: bn(0),
+        tokenId: bn(0),
+        seller: OWNER,
+        amount: bn(97),
+        pricePerCredit: bn('10000000000000000'),
+        active: true
+    };
+    let roles = {};
+
+    const browser = loadFrontend({
+        'indexer.js': {
+            indexedProjects: Object.fromEntries(PROJECTS.map(project => [project.projectId.toString(), project])),
+            indexedBlocks: { 1: 1767225600 },
+            getIndexedProjects: () => PROJECTS,
+            getIndexedListings: () => [listing],
+            getIndexedCreditTypes: () => ({ 0: maliciousCreditType(0) }),
+            getIndexedEvents: () => [],
+            getBlockTimestamp: async () => 1767225600
+        },
+        // Read-only until a test connects OWNER, who holds every role but VERIFIER_ROLE
+        'web3.js': {
+            walletConnected: false,
+            userAddress: null,
+            contractsReady: () => true,
+            contracts: {
+                ProjectRegistry: { hasRole: async () => true },
+                CarbonCredit: { hasRole: async role => role !== roles.VERIFIER },
+                Marketplace: { protocolFeePercent: async () => bn(25) }
+            }
+        }
+    });
+    roles = (await browser.import('config.js')).ROLES;
+    return browser;
+}
+
+function assertSafeMarkup(markup) {
+    assert.ok(markup.length > 0, 'nothing was rendered');
+    assert.doesNotMatch(markup, /<script/i);
+    assert.doesNotMatch(markup, /<img/i);
+    assert.doesNotMatch(markup, /<svg onload/i);
+    assert.doesNotMatch(markup, /"\s*onerror=/i);
+
+    // Every link points at the explorer, a gateway or an in-app route
+    [...markup.matchAll(/href="([^"]*)"/g)].forEach(([, href]) => {
+        assert.match(href, /^(https?:\/\/|#\/project\/\d+$)/, `unsafe link ${href}`);
+    });
+}
+
+test('project grid escapes malicious project fields', async () => {
+    const browser = await setup();
+    const { document } = browser;
+
+    await (await browser.import('projects.js')).loadProjects();
+    const markup = document.getElementById('projectsGrid').innerHTML;
+
+    assertSafeMarkup(markup);
+    assert.ok(markup.includes('&lt;script&gt;alert(&quot;name&quot;)&lt;/script&gt;'));
+    assert.ok(markup.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(markup.includes('&quot;&gt;&lt;svg onload=alert(1)&gt;'));
+});
+
+test('project detail escapes fields and never links unsafe documents', async () => {
+    const browser = await setup();
+    const { document } = browser;
+    const { renderProjectHeader, renderProjectMeta, renderProjectDocument, renderProjectTimeline } = await browser.import('project-detail.js');
+
+    PROJECTS.forEach(project => {
+        renderProjectHeader(project);
+        renderProjectMeta(project);
+        renderProjectDocument(project);
+        renderProjectTimeline([{
+            title: 'Pending → Rejected',
+            status: 2,
+            actor: OWNER,
+            transactionHash: TX_HASH,
+            blockNumber: 1,
+            reason: PAYLOADS.img
+        }]);
+
+        ['projectDetailHeader', 'projectDetailMeta', 'projectDocument', 'projectTimeline'].forEach(id => {
+            assertSafeMarkup(document.getElementById(id).innerHTML);
+        });
+        assert.doesNotMatch(document.getElementById('projectDocument').innerHTML, /<a /);
+        assert.match(document.getElementById('projectDocument').innerHTML, /cannot be opened/);
+    });
+});
+
+test('project detail tables escape credit type fields', async () => {
+    const browser = await setup();
+    const { document } = browser;
+    const { renderProjectCreditTypes, renderProjectListings, renderProjectRetirements } = await browser.import('project-detail.js');
+    const retirement = { args: { tokenId: bn(0), amount: bn(2), retiree: OWNER }, blockNumber: 1, transactionHash: TX_HASH };
+
+    renderProjectCreditTypes([maliciousCreditType(0)], [retirement]);
+    renderProjectListings(['0']);
+    renderProjectRetirements([retirement]);
+
+    ['projectCreditTypes', 'projectListings', 'projectRetirements'].forEach(id => {
+        assertSafeMarkup(document.getElementById(id).innerHTML);
+    });
+});
+
+test('document links are validated and attribute-encoded', async () => {
+    const browser = await setup();
+    const { document } = browser;
+    const { resolveDocumentUrl, renderProjectDocument } = await browser.import('project-detail.js');
+
+    MALICIOUS_DOCUMENTS.forEach(uri => assert.equal(resolveDocumentUrl(uri), null, `${JSON.stringify(uri)} should not resolve`));
+
+    const project = maliciousProject(9, 'https://example.org/report.pdf" onmouseover="alert(1)');
+    renderProjectDocument(project);
+    const markup = document.getElementById('projectDocument').innerHTML;
+
+    assertSafeMarkup(markup);
+    assert.ok(markup.includes('href="https://example.org/report.pdf%22%20onmouseover=%22alert(1)"'));
+});
+
+test('an unreachable gateway is shown in the preview without logging an error', async t => {
+    const browser = await setup();
+    const { renderProjectDocument } = await browser.import('project-detail.js');
+    const errors = t.mock.method(console, 'error', () => {});
+
+    renderProjectDocument(maliciousProject(9, 'ipfs://QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG'));
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.match(browser.document.getElementById('projectDocumentPreview').innerHTML, /Could not load the document from the gateway/);
+    // Node's own warnings also go through console.error
+    assert.deepEqual(errors.mock.calls.filter(call => /verification document/.test(call.arguments[0])), []);
+});
+
+test('a malicious IPFS gateway setting is not used for links', async () => {
+    const browser = await setup();
+    const { ipfsGateway, resolveDocumentUrl, updateIpfsGateway } = await browser.import('project-detail.js');
+    const cid = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+
+    updateIpfsGateway('javascript:alert(1)//');
+    assert.equal(ipfsGateway(), 'https://ipfs.io/ipfs/');
+
+    // A value stored before validation existed is still rejected when resolving
+    browser.context.localStorage.setItem('vericarbon-ipfs-gateway', 'javascript:alert(1)//');
+    assert.equal(resolveDocumentUrl(`ipfs://${cid}`), null);
+});
+
+test('verification queue escapes fields and only links safe documents', async () => {
+    const browser = await setup();
+    const { document } = browser;
+    const { loadVerifierRoles, renderPendingProjects, renderProjectStatusTable } = await browser.import('verification.js');
+    const safe = maliciousProject(9, 'ipfs://QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG');
+
+    browser.setStub('web3.js', { walletConnected: true, userAddress: OWNER });
+    await loadVerifierRoles();
+    renderPendingProjects([...PROJECTS, safe]);
+    renderProjectStatusTable(PROJECTS);
+    const pending = document.getElementById('pendingProjects').innerHTML;
+
+    assertSafeMarkup(pending);
+    assertSafeMarkup(document.getElementById('projectStatusTable').innerHTML);
+    assert.equal([...pending.matchAll(/<a /g)].length, 1);
+    assert.ok(pending.includes('href="https://ipfs.io/ipfs/QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG"'));
+});
+
+test('owner console escapes fields inside input values', async () => {
+    const browser = await setup();
+    const { loadOwnerConsole } = await browser.import('owner-console.js');
+
+    browser.setStub('web3.js', { walletConnected: true, userAddress: OWNER });
+    await loadOwnerConsole();
+    const markup = browser.document.getElementById('myProjects').innerHTML;
+
+    assertSafeMarkup(markup);
+    assert.ok(markup.includes('value="&lt;script&gt;alert(&quot;name&quot;)&lt;/script&gt;"'));
+});
+
+test('marketplace listings escape credit type fields', async () => {
+    const browser = await setup();
+    const { document } = browser;
+
+    await (await browser.import('marketplace.js')).loadListings();
+
+    assertSafeMarkup(document.getElementById('listingsGrid').innerHTML);
+});
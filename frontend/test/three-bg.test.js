@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFrontend } from './browser-context.js';
+
+// THREE is not loaded, which is how the page looks when WebGL can't be used
+async function setup() {
+    const browser = loadFrontend({}, { navigator: { hardwareConcurrency: 8 } });
+    return { ...browser, background: await browser.import('three-bg.js') };
+}
+
+const DESKTOP = { webgl: true, reducedMotion: false, cores: 8, width: 1440 };
+
+test('auto mode picks a tier for the device and follows reduced motion', async () => {
+    const { backgroundPlan } = (await setup()).background;
+
+    assert.deepEqual({ ...backgroundPlan('auto', DESKTOP) }, { tier: 'high', animate: true });
+    assert.deepEqual({ ...backgroundPlan('auto', { ...DESKTOP, cores: 4 }) }, { tier: 'medium', animate: true });
+    assert.deepEqual({ ...backgroundPlan('auto', { ...DESKTOP, width: 390 }) }, { tier: 'medium', animate: true });
+    assert.deepEqual({ ...backgroundPlan('auto', { ...DESKTOP, reducedMotion: true }) }, { tier: 'high', animate: false });
+});
+
+test('a chosen tier is kept, and off or missing WebGL leaves the gradient', async () => {
+    const { backgroundPlan } = (await setup()).background;
+
+    assert.deepEqual({ ...backgroundPlan('low', { ...DESKTOP, reducedMotion: true }) }, { tier: 'low', animate: true });
+    assert.deepEqual({ ...backgroundPlan('off', DESKTOP) }, { tier: null, animate: false });
+    assert.deepEqual({ ...backgroundPlan('high', { ...DESKTOP, webgl: false }) }, { tier: null, animate: false });
+});
+
+test('tiers step down to low and no further', async () => {
+    const { lowerTier } = (await setup()).background;
+
+    assert.equal(lowerTier('high'), 'medium');
+    assert.equal(lowerTier('medium'), 'low');
+    assert.equal(lowerTier('low'), null);
+});
+
+test('only auto mode steps down when frames are slow', async () => {
+    const { shouldDowngrade } = (await setup()).background;
+
+    assert.equal(shouldDowngrade('auto', 'high', 30), true);
+    assert.equal(shouldDowngrade('auto', 'high', 55), false);
+    assert.equal(shouldDowngrade('auto', 'low', 20), true);
+    assert.equal(shouldDowngrade('high', 'high', 10), false);
+    assert.equal(shouldDowngrade('medium', 'medium', 10), false);
+});
+
+test('tiers cap particles, segments and pixel ratio in decreasing order', async () => {
+    const { TIER_ORDER, QUALITY_TIERS } = (await setup()).background;
+    const tiers = TIER_ORDER.map(name => QUALITY_TIERS[name]);
+
+    ['particles', 'segments', 'pixelRatio', 'maxFps'].forEach(key => {
+        tiers.slice(1).forEach((tier, i) => assert.ok(tier[key] <= tiers[i][key], key));
+    });
+});
+
+test('the background mode is persisted and unknown values are ignored', async () => {
+    const { document, context, background } = await setup();
+    const { backgroundMode, setBackgroundMode, BACKGROUND_STORAGE_KEY } = background;
+
+    setBackgroundMode('low');
+    assert.equal(backgroundMode(), 'low');
+    assert.equal(document.getElementById('backgroundMode').value, 'low');
+    // Without WebGL the static gradient is shown whatever the mode
+    assert.equal(document.getElementById('canvas-container').classList.contains('static-energy-bg'), true);
+
+    setBackgroundMode('ultra');
+    assert.equal(backgroundMode(), 'low');
+
+    setBackgroundMode('auto');
+    assert.equal(context.localStorage.getItem(BACKGROUND_STORAGE_KEY), null);
+    assert.equal(backgroundMode(), 'auto');
+});
@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { ABIS } from '../js/abis.generated.js';
+import { loadFrontend } from './browser-context.js';
+
+const BUYER = '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1';
+const GWEI = ethers.utils.parseUnits('1', 'gwei');
+const { BigNumber } = ethers;
+
+// 100k gas at a 10 gwei base fee and 2 gwei tip, in a wallet that reserves 40 gwei per gas
+const FEE_DATA = {
+    lastBaseFeePerGas: GWEI.mul(10),
+    maxPriorityFeePerGas: GWEI.mul(2),
+    maxFeePerGas: GWEI.mul(40),
+    gasPrice: GWEI.mul(12)
+};
+
+async function setup(balance) {
+    const sent = [];
+    const browser = loadFrontend({
+        'web3.js': {
+            userAddress: BUYER,
+            provider: {
+                getFeeData: async () => FEE_DATA,
+                getBalance: async () => balance
+            }
+        },
+        'live-updates.js': { isUserAddress: () => false }
+    }, { ethers });
+
+    const contract = {
+        estimateGas: { buyCredits: async () => BigNumber.from(100000) },
+        async buyCredits(...args) {
+            sent.push(args);
+            return { hash: ethers.utils.id('tx'), wait: async () => ({ status: 1, transactionHash: ethers.utils.id('tx'), blockNumber: 7 }) };
+        }
+    };
+    return { sent, contract, transactions: await browser.import('transactions.js') };
+}
+
+test('the balance check uses the expected fee, not the wallet reservation', async () => {
+    const value = ethers.utils.parseEther('0.01');
+    const expected = GWEI.mul(12).mul(100000).add(value);
+
+    const funded = await setup(expected);
+    await funded.transactions.sendTransaction('Buy credits', funded.contract, 'buyCredits', [0, 10], { value });
+    assert.equal(funded.sent.length, 1);
+    assert.equal(funded.sent[0][2].gasLimit.toString(), '120000');
+
+    const short = await setup(expected.sub(1));
+    await assert.rejects(
+        short.transactions.sendTransaction('Buy credits', short.contract, 'buyCredits', [0, 10], { value }),
+        /Not enough ETH: this needs about 0.0112 ETH/
+    );
+    assert.equal(short.sent.length, 0);
+});
+
+test('revert data is found by its selector wherever the provider nests it', async () => {
+    const { decodeTransactionError } = (await setup(0)).transactions;
+    const marketplace = new ethers.utils.Interface(ABIS.Marketplace);
+    const credits = new ethers.utils.Interface(ABIS.CarbonCredit);
+
+    const paused = marketplace.encodeErrorResult('EnforcedPause', []);
+    // A transaction hash and the call's own calldata are whole ABI words too, but not revert data
+    assert.equal(decodeTransactionError({ data: ethers.utils.id('tx'), error: { data: paused } }), 'Contract is paused');
+    const calldata = marketplace.encodeFunctionData('buyCredits', [0, 10]);
+    assert.equal(decodeTransactionError({ data: calldata, error: { data: paused } }), 'Contract is paused');
+
+    const insufficient = credits.encodeErrorResult('ERC1155InsufficientBalance', [BUYER, 5, 10, 3]);
+    assert.equal(
+        decodeTransactionError({ error: { body: JSON.stringify({ error: { data: insufficient } }) } }),
+        'Insufficient balance of token #3: holds 5, needs 10'
+    );
+
+    const reason = ethers.utils.hexConcat(['0x08c379a0', ethers.utils.defaultAbiCoder.encode(['string'], ['Listing not active'])]);
+    assert.equal(decodeTransactionError({ data: { originalError: { data: reason } } }), 'Listing not active');
+});
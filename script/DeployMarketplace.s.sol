@@ -6,7 +6,8 @@ import "../src/Marketplace.sol";
 
 contract DeployMarketplace is Script {
     function run() external {
-        address carbonCreditAddress = 0x37A3A1B31bBaee86e8E307240BFB4d1e7f227a57;
+        // Defaults to the Sepolia deployment; set CARBON_CREDIT_ADDRESS for other chains
+        address carbonCreditAddress = vm.envOr("CARBON_CREDIT_ADDRESS", 0x37A3A1B31bBaee86e8E307240BFB4d1e7f227a57);
         address feeRecipient = msg.sender; // Deployer receives fees initially
         
         vm.startBroadcast();